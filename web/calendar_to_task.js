@@ -6,31 +6,268 @@ const TASK_LIST_NAME = 'Media Backlog 🎞️';
 const UNWATCHED_COLOR_ID = '7';   // "Unwatched" color
 const DEFAULT_COLOR_ID = '11';    // Calendar's default color
 const SCRIPT_TIME_ZONE = Session.getScriptTimeZone();
+// The values above form the "Default" profile, used until profiles are saved from the
+// web app's ⚙️ Settings page (or with saveSyncProfiles) under this script property
+const SYNC_PROFILES_PROPERTY = 'SYNC_PROFILES';
+// Task notes end with a block of `key: value` lines owned by the sync (event link etc.)
+const NOTES_FOOTER_SEPARATOR = '── sync ──';
+// Past runs are kept in script properties; the size is adjustable on the ⚙️ Settings page
+const SYNC_HISTORY_PROPERTY = 'SYNC_HISTORY';
+const SYNC_HISTORY_LIMIT_PROPERTY = 'SYNC_HISTORY_LIMIT';
+const DEFAULT_SYNC_HISTORY_LIMIT = 20;
+// Incremental sync (⚙️ Settings) needs the "Google Calendar API" advanced service for sync tokens
+const INCREMENTAL_SYNC_PROPERTY = 'INCREMENTAL_SYNC';
+// Runs that change data are serialized with the script lock; a waiting caller gives up after this long
+const SYNC_LOCK_WAIT_MS = 5000;
+const SYNC_RUNNING_SINCE_PROPERTY = 'SYNC_RUNNING_SINCE';
+// Time-driven trigger managed from the ⚙️ Settings page
+const SYNC_TRIGGER_HANDLER = 'syncCalendarAndTasks';
+const SYNC_TRIGGER_INTERVALS = [1, 2, 4, 6, 8, 12, 24];   // hours
+const SYNC_TRIGGER_INTERVAL_PROPERTY = 'SYNC_TRIGGER_INTERVAL_HOURS';
+const LAST_TRIGGER_RUN_PROPERTY = 'LAST_TRIGGER_RUN';
+// Order of open tasks after each sync: 'none', 'date' (event date) or 'platform' (⚙️ Settings)
+const TASK_ORDER_PROPERTY = 'TASK_ORDER';
+const TASK_ORDERS = ['none', 'date', 'platform'];
+// Platform rules (icon, display name, task list per platform) are edited on the ⚙️ Settings page
+const PLATFORM_RULES_PROPERTY = 'PLATFORM_RULES';
+// Events sharing a title and date: 'separate' tracks each one, 'merge' treats them as one (⚙️ Settings)
+const DUPLICATE_POLICY_PROPERTY = 'DUPLICATE_POLICY';
+const DUPLICATE_POLICIES = ['separate', 'merge'];
+// Snooze lengths offered on the web app's 🎬 Backlog page (days)
+const BACKLOG_SNOOZE_DAYS = [1, 3, 7, 30];
+// Backlog downloads from the 🎬 Backlog page and the JSON API (`?action=export&format=`)
+const BACKLOG_EXPORT_FORMATS = ['csv', 'md', 'ics'];
+// Backlog digest email, scheduled from the ⚙️ Settings page (weekly digests go out on DIGEST_WEEK_DAY)
+const DIGEST_TRIGGER_HANDLER = 'sendBacklogDigest';
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+const DIGEST_WEEK_DAY = 'MONDAY';
+const DIGEST_SETTINGS_PROPERTY = 'DIGEST_SETTINGS';
+const DIGEST_STATE_PROPERTY = 'DIGEST_STATE';
+const DIGEST_OLDEST_COUNT = 10;
+// Calls that hit rate limits or transient errors are retried with exponential backoff
+const API_MAX_ATTEMPTS = 5;
+const API_BACKOFF_MS = 500;
+// Bulk task inserts and deletes go through the Tasks batch endpoint, this many per request
+const TASKS_BATCH_SIZE = 50;
+// Event descriptions copied into task notes are cut off after this many characters
+const NOTES_DESCRIPTION_LIMIT = 1000;
+// Runtime, genres, year, poster and synopsis for tasks (see Metadata Enrichment). The catalog is loaded
+// on the ⚙️ Settings page; answers of online providers are cached for METADATA_CACHE_DAYS.
+const METADATA_CATALOG_PROPERTY = 'METADATA_CATALOG';
+const METADATA_CACHE_PROPERTY = 'METADATA_CACHE';
+const METADATA_CACHE_DAYS = 30;
+const METADATA_CACHE_LIMIT = 200;
+const METADATA_SYNOPSIS_LIMIT = 300;
 // =================================================================
 
-function syncCalendarAndTasks(startDate, endDate) {
-  // Helper to parse date string in local timezone (avoid UTC conversion)
-  // Returns null if parsing fails
-  const parseDate = (dateInput) => {
-    if (!dateInput) return null;
-    
-    // If already a Date object, check if valid
-    if (dateInput instanceof Date) {
-      return isNaN(dateInput.getTime()) ? null : dateInput;
+// Full sync: builds the plan for every profile (or just `profileName`) and applies it straight away.
+// This is what time-driven triggers and manual editor runs call.
+function syncCalendarAndTasks(startDate, endDate, profileName, mode) {
+  // Time-driven triggers pass their event object as the first argument
+  const source = startDate && startDate.triggerUid ? 'time-driven' : 'manual';
+  const isTrigger = source === 'time-driven';
+  const profiles = selectSyncProfiles(profileName);
+  if (profiles.length === 0) return profileNotFound(profileName).message;
+
+  try {
+    const run = runSync(startDate, endDate, profiles, mode, source);
+    if (run.busy) {
+      if (isTrigger) recordTriggerRun('⏭️ Skipped', run.busy);
+      return run.busy;
     }
-    
-    // If string with date format, parse it
-    if (typeof dateInput === 'string' && dateInput.includes('-')) {
-      const parts = dateInput.split('-');
-      if (parts.length === 3) {
-        const parsed = new Date(parseInt(parts[0]), parseInt(parts[1]) - 1, parseInt(parts[2]));
-        return isNaN(parsed.getTime()) ? null : parsed;
-      }
+    if (isTrigger) {
+      recordTriggerRun('✅ Completed', run.results.map(r => `${r.profileName}: ${resultSummary(r)}`).join(' | '));
     }
-    
-    return null;
+    return renderSyncResults(run.results);
+  } catch (e) {
+    if (isTrigger) recordTriggerRun('❌ Failed', e.message);
+    throw e;
+  }
+}
+
+// Builds and applies the plan for each profile under the sync lock and saves the run to history.
+// Returns { results } (applySyncPlan() results, or { profileName, error }) or { busy }.
+function runSync(startDate, endDate, profiles, mode, source) {
+  return withSyncLock(() => {
+    const results = profiles.map(profile => {
+      const plan = buildSyncPlan(startDate, endDate, profile, mode);
+      return plan.error ? { profileName: profile.name, error: plan.error } : applySyncPlan(plan);
+    });
+    recordSyncRun(source, results);
+    return { results };
+  });
+}
+
+// Dry run: computes Phase 1 and Phase 2 without touching Tasks, Calendar or script properties.
+// Returns the rendered preview, its phase table data (see buildReportTables) and a `previewId` that
+// fingerprints the planned changes (null when there are none). The plans themselves stay on the server,
+// applyPreview() builds them again.
+function previewSync(startDate, endDate, profileName, mode) {
+  const profiles = selectSyncProfiles(profileName);
+  if (profiles.length === 0) return { html: profileNotFound(profileName).message, previewId: null };
+  return renderPreviews(buildPreviews(startDate, endDate, profiles, mode));
+}
+
+function renderPreviews(previews) {
+  const sections = [];
+  const tables = [];
+  for (const { profile, plan, counts, error } of previews) {
+    if (error) {
+      sections.push(generateProfileError(profile.name, error));
+      continue;
+    }
+
+    const summary = `👀 Preview (nothing changed yet)${plan.incremental ? ' ⚡ Incremental' : ''} — ` +
+      `To create: ${counts.create}, ` +
+      `To update: ${counts.update}, To delete: ${counts.delete}, To reset: ${counts.reset}` +
+      `${profile.twoWaySync ? `, Events to create: ${counts.events}` : ''}` +
+      `${plan.warnings.length > 0 ? `, Warnings: ${plan.warnings.length}` : ''}`;
+    sections.push(generateHtmlReport(
+      summary,
+      plan.phase1.map(entry => entry.row),
+      plan.phase2.map(entry => entry.row),
+      parseDate(plan.startDate),
+      parseDate(plan.endDate),
+      profile.name,
+      plan.duplicates,
+      [],
+      plan.warnings
+    ));
+    tables.push(...buildReportTables(
+      profile.name, plan.phase1.map(entry => entry.row), plan.phase2.map(entry => entry.row)
+    ));
+  }
+  const plans = changedPlans(previews);
+  return { html: sections.join(''), tables, previewId: plans.length > 0 ? planFingerprint(plans) : null };
+}
+
+// One { profile, plan, counts } (or { profile, error }) per profile, for previewSync() and the JSON API
+function buildPreviews(startDate, endDate, profiles, mode) {
+  return profiles.map(profile => {
+    const plan = buildSyncPlan(startDate, endDate, profile, mode);
+    if (plan.error) return { profile, error: plan.error };
+    return { profile, plan, counts: countPlannedChanges(plan) };
+  });
+}
+
+function changedPlans(previews) {
+  return previews.filter(preview => !preview.error && preview.counts.total > 0).map(preview => preview.plan);
+}
+
+// Applies what previewSync() showed. Only the preview's arguments come back from the browser: the plans
+// are built again under the sync lock and applied only when they still match `previewId`. When calendars
+// or tasks changed in between, nothing is applied and the new preview is returned as { changed: true, ... }.
+// Returns { busy } instead of a report when another run is in progress.
+function applyPreview(startDate, endDate, profileName, mode, previewId) {
+  const profiles = selectSyncProfiles(profileName);
+  if (profiles.length === 0) throw new Error(profileNotFound(profileName).message);
+
+  return withSyncLock(() => {
+    const previews = buildPreviews(startDate, endDate, profiles, mode);
+    const plans = changedPlans(previews);
+    if (plans.length === 0 || planFingerprint(plans) !== previewId) {
+      return { changed: true, ...renderPreviews(previews) };
+    }
+    const results = plans.map(plan => applySyncPlan(plan));
+    recordSyncRun('web', results);
+    return renderSyncReport(results);
+  });
+}
+
+// SHA-256 of everything a plan would change (the sync state is left out, it holds the run's start time)
+function planFingerprint(plans) {
+  const changes = JSON.stringify(plans.map(plan => ({
+    profileName: plan.profile.name,
+    phase1: plan.phase1,
+    phase2: plan.phase2,
+    deletions: plan.deletions
+  })));
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, changes, Utilities.Charset.UTF_8);
+  return Utilities.base64EncodeWebSafe(digest);
+}
+
+// Serializes every run that changes data (triggers, web app apply, rollback), so two runs never
+// work from the same task snapshot. Returns fn()'s result, or { busy: message } if another run holds the lock.
+function withSyncLock(fn) {
+  const lock = LockService.getScriptLock();
+  const props = PropertiesService.getScriptProperties();
+  if (!lock.tryLock(SYNC_LOCK_WAIT_MS)) {
+    const since = props.getProperty(SYNC_RUNNING_SINCE_PROPERTY);
+    const startedAt = since
+      ? Utilities.formatDate(new Date(since), SCRIPT_TIME_ZONE, 'yyyy-MM-dd HH:mm:ss')
+      : 'an unknown time';
+    const message = `⏳ Sync already in progress, started at ${startedAt}. Try again once it finishes.`;
+    logAction(message);
+    return { busy: message };
+  }
+
+  props.setProperty(SYNC_RUNNING_SINCE_PROPERTY, new Date().toISOString());
+  try {
+    return fn();
+  } finally {
+    props.deleteProperty(SYNC_RUNNING_SINCE_PROPERTY);
+    lock.releaseLock();
+  }
+}
+
+// Renders applySyncPlan() results (live or from history) with the regular report layout
+function renderSyncResults(results) {
+  return results.map(result => result.error
+    ? generateProfileError(result.profileName, result.error)
+    : generateHtmlReport(
+        result.summary, result.phase1Data, result.phase2Data,
+        parseDate(result.startDate), parseDate(result.endDate), result.profileName,
+        result.duplicateData, result.failures, result.warnings
+      )
+  ).join('');
+}
+
+// Report for the web app: { html, tables }, where tables holds the phase rows for search, filters and export
+function renderSyncReport(results) {
+  return {
+    html: renderSyncResults(results),
+    tables: results.filter(result => !result.error).reduce((tables, result) =>
+      tables.concat(buildReportTables(result.profileName, result.phase1Data, result.phase2Data)), [])
   };
-  
+}
+
+// Profile errors are { code, message, ... } (see syncError); runs saved before that stored plain strings
+function errorMessage(error) {
+  return typeof error === 'string' ? error : error.message;
+}
+
+// One line per profile result, for run history and the trigger status
+function resultSummary(result) {
+  return result.error ? errorMessage(result.error) : result.summary;
+}
+
+// Errors that stop a whole profile, with a stable code for API clients:
+// CALENDAR_NOT_FOUND, FEED_UNAVAILABLE, TASK_LIST_NOT_FOUND, PROFILE_NOT_FOUND
+function syncError(code, message, details) {
+  return { code, message: `⚠️ ${message}`, ...details };
+}
+
+function calendarNotFound(profile) {
+  return syncError('CALENDAR_NOT_FOUND', `Calendar not found: ${profile.calendarName}`, { calendarName: profile.calendarName });
+}
+
+function feedUnavailable(profile, reason) {
+  return syncError('FEED_UNAVAILABLE', `Feed could not be loaded (${reason}): ${profile.feedUrl}`, { feedUrl: profile.feedUrl });
+}
+
+function taskListNotFound(profile) {
+  return syncError('TASK_LIST_NOT_FOUND', `Task list not found: ${profile.taskListName}`, { taskListName: profile.taskListName });
+}
+
+function profileNotFound(profileName) {
+  return syncError('PROFILE_NOT_FOUND', `Sync profile not found: ${profileName}`, { profileName });
+}
+
+// Read-only pass over calendar events and tasks.
+// Every mutation is recorded as an `op` next to the report row it produces,
+// so applySyncPlan() can replay exactly what was previewed.
+// `mode` 'full' forces a full resync; otherwise incremental sync is used when enabled in settings.
+function buildSyncPlan(startDate, endDate, profile, mode) {
   // Parse provided dates, fall back to defaults if invalid/missing
   const parsedEnd = parseDate(endDate);
   const parsedStart = parseDate(startDate);
@@ -42,301 +279,3216 @@ function syncCalendarAndTasks(startDate, endDate) {
     return date;
   })();
 
-  const calendar = getCalendarByName(CALENDAR_NAME);
+  let calendar;
+  try {
+    calendar = getProfileCalendar(profile);
+  } catch (e) {
+    logAction(`⚠️ Feed not loaded: ${e.message}`);
+    return { error: feedUnavailable(profile, e.message) };
+  }
   if (!calendar) {
-    logAction('⚠️ Calendar not found');
-    return "⚠️ Calendar not found";
+    logAction(`⚠️ Calendar not found: ${profile.calendarName}`);
+    return { error: calendarNotFound(profile) };
   }
 
-  // Log the actual date range being used (format in local timezone to match user's selection)
-  const formatLocalDate = (date) => Utilities.formatDate(date, SCRIPT_TIME_ZONE, 'yyyy-MM-dd');
-  logAction("📆 FETCHING CALENDAR EVENTS", null, true);
-  logAction(`Date range: ${formatLocalDate(aWhileAgo)} to ${formatLocalDate(today)}`);
-  
-  const events = calendar.getEvents(aWhileAgo, today, { max: 2000, futureEvents: false });
-  logAction(`Found ${events.length} events in range`);
+  const taskList = getTaskListByName(profile.taskListName);
+  if (!taskList) {
+    logAction(`⚠️ Task list not found: ${profile.taskListName}`);
+    return { error: taskListNotFound(profile) };
+  }
+
+  // Problems that don't stop the sync; listed with the errors in the report
+  const warnings = [];
+
+  // Feeds have no sync tokens, so feed profiles always run in full
+  const incrementalEnabled = isIncrementalSyncEnabled() && !profile.feedUrl;
+  const runStartedAt = new Date().toISOString();
+  let events, tasks, syncState = null, since = null;
+
+  const changes = incrementalEnabled && mode !== 'full'
+    ? fetchIncrementalChanges(calendar, taskList.id, profile, runStartedAt)
+    : null;
+  if (changes) {
+    ({ events, tasks, syncState, since } = changes);
+    logAction("⚡ INCREMENTAL SYNC", null, true);
+    logAction(`Changes since ${since}: ${events.length} events, ${tasks.length} tasks`);
+  } else {
+    if (incrementalEnabled && mode !== 'full') {
+      logAction('No usable sync token, running a full resync');
+      warnings.push({
+        item: profile.name, action: '⚡ Incremental sync', message: 'No usable sync token, ran a full resync instead'
+      });
+    }
+
+    // Log the actual date range being used (format in local timezone to match user's selection)
+    logAction("📆 FETCHING CALENDAR EVENTS", null, true);
+    logAction(`Date range: ${formatLocalDate(aWhileAgo)} to ${formatLocalDate(today)}`);
+    
+    events = calendar.getEvents(aWhileAgo, today, { max: 2000, futureEvents: false });
+    logAction(`Found ${events.length} events in range`);
+
+    tasks = listAllTasks(taskList.id);
+    logAction("📋 FETCHING TASKS", null, true);
+    logAction(`Found ${tasks.length} tasks in list "${profile.taskListName}"`);
+
+    // A full run also takes a fresh starting point for the next incremental run
+    if (incrementalEnabled) syncState = startSyncState(calendar, tasks, runStartedAt);
+  }
+  tasks.forEach(t => { t.taskListId = taskList.id; });
+
   events.forEach(ev => {
-    const color = normalizeColor(ev.getColor());
+    const color = normalizeColor(ev.getColor(), profile.defaultColorId);
     logAction(
       `Event: ${buildTaskTitle(ev)} | Color: ${color} | ` +
-      `${color === UNWATCHED_COLOR_ID ? 'Unwatched' : 'Watched'}`
+      `${color === profile.unwatchedColorId ? 'Unwatched' : 'Watched'}`
     );
   });
+  tasks.forEach(t => {
+    logAction(`Task: ${t.title} | Notes: ${t.notes || ''} | Status: ${t.status}`);
+  });
 
-  const taskList = getTaskListByName(TASK_LIST_NAME);
-  if (!taskList) {
-    logAction('⚠️ Task list not found');
-    return "⚠️ Task list not found";
+  const isUnwatched = (ev) => normalizeColor(ev.getColor(), profile.defaultColorId) === profile.unwatchedColorId;
+
+  // Several events can share a title and date (double features, the same show entered twice).
+  // 'separate' keeps one task per event; 'merge' keeps the first unwatched copy (else the first one)
+  // and points the others' links at it.
+  const duplicatePolicy = getDuplicatePolicy();
+  const eventsByKey = new Map();
+  events.forEach(ev => {
+    const key = buildTaskTitle(ev);
+    if (!eventsByKey.has(key)) eventsByKey.set(key, []);
+    eventsByKey.get(key).push(ev);
+  });
+  const duplicateKeys = new Set([...eventsByKey.keys()].filter(key => eventsByKey.get(key).length > 1));
+  const mergedEvents = new Map();   // link key of the kept event -> the copies merged into it
+  const duplicateRows = [];
+  for (const key of duplicateKeys) {
+    const group = eventsByKey.get(key);
+    if (duplicatePolicy === 'merge') {
+      const kept = group.find(isUnwatched) || group[0];
+      mergedEvents.set(linkKey(eventLink(kept)), group.filter(ev => ev !== kept));
+    }
+    logAction(`♊ ${group.length} events share the key ${key} (${duplicatePolicy})`);
+    duplicateRows.push({
+      item: key,
+      kind: '📅 Event',
+      count: group.length,
+      resolution: duplicatePolicy === 'merge' ? '🔗 Merged into one' : '🔀 Tracked separately'
+    });
+  }
+  const mergedAway = new Set();
+  mergedEvents.forEach(copies => copies.forEach(ev => mergedAway.add(ev)));
+  events = events.filter(ev => !mergedAway.has(ev));
+
+  // Tasks created by this script carry their event ID (plus occurrence start for recurring events)
+  // in the notes footer. Older tasks only have the "Title (MM/dd/yyyy)" title, so they are matched
+  // by title until linked.
+  const eventById = new Map(events.map(ev => [linkKey(eventLink(ev)), ev]));
+  mergedEvents.forEach((copies, keptKey) => {
+    copies.forEach(ev => eventById.set(linkKey(eventLink(ev)), eventById.get(keptKey)));
+  });
+  const eventByKey = new Map();
+  events.forEach(ev => { if (!eventByKey.has(buildTaskTitle(ev))) eventByKey.set(buildTaskTitle(ev), ev); });
+  // Unlinked tasks that Phase 1 pairs with one of several same-key events
+  const legacyAssignments = new Map();
+  // Linked events outside the date range are looked up directly so they still get cleaned up
+  const linkedEvents = new Map();
+  const findEventForTask = (task) => {
+    const { meta } = parseTaskNotes(task.notes);
+    if (!meta.eventId) return legacyAssignments.get(task.id) || eventByKey.get(task.title);
+    const key = linkKey(meta);
+    if (!linkedEvents.has(key)) linkedEvents.set(key, eventById.get(key) || getLinkedEvent(calendar, meta));
+    return linkedEvents.get(key);
+  };
+
+  // Platform rules can send new tasks to other lists. Those lists may be shared with other profiles,
+  // so only their tasks linked to an event on this profile's calendar are synced.
+  const routedLists = resolveRoutedTaskLists(taskList, warnings);
+  for (const [listName, listId] of routedLists) {
+    const routedTasks = listAllTasks(listId).filter(t => parseTaskNotes(t.notes).meta.eventId && findEventForTask(t));
+    routedTasks.forEach(t => { t.taskListId = listId; });
+    logAction(`Found ${routedTasks.length} linked tasks in routed list "${listName}"`);
+    tasks = tasks.concat(routedTasks);
   }
 
-  const tasks = listAllTasks(taskList.id);
-  logAction("📋 FETCHING TASKS", null, true);
-  logAction(`Found ${tasks.length} tasks in list "${TASK_LIST_NAME}"`);
+  // Overlapping runs (before runs were locked) could insert the same task twice.
+  // Keep one copy per event and merge the rest away below.
+  // Unlinked tasks are only grouped when titled after an event; tasks typed in by hand are never merged.
+  // Under 'separate', unlinked tasks titled after a duplicated key may belong to different events,
+  // so only 'merge' groups them.
+  const groupsByTitle = duplicatePolicy === 'merge'
+    ? (title) => eventsByKey.has(title)
+    : (title) => eventsByKey.has(title) && !duplicateKeys.has(title);
+  const keptLinkKey = (key) => {
+    const ev = eventById.get(key);
+    return ev ? linkKey(eventLink(ev)) : key;
+  };
+  const { unique, duplicates } = splitDuplicateTasks(tasks, groupsByTitle, keptLinkKey);
+  tasks = unique;
+
+  const taskByEventId = new Map();
+  const legacyTasksByTitle = new Map();
   tasks.forEach(t => {
-    logAction(`Task: ${t.title} | Notes: ${t.notes || ''} | Status: ${t.status}`);
+    const { meta } = parseTaskNotes(t.notes);
+    if (meta.eventId) {
+      taskByEventId.set(keptLinkKey(linkKey(meta)), t);
+    } else {
+      if (!legacyTasksByTitle.has(t.title)) legacyTasksByTitle.set(t.title, []);
+      legacyTasksByTitle.get(t.title).push(t);
+    }
   });
 
-  const eventByKey = new Map(events.map(ev => [buildTaskTitle(ev), ev]));
-  const taskKeys = new Set(tasks.map(t => t.title));
+  // Open tasks that still share a title after merging (e.g. typed in twice) are only reported
+  const tasksByTitle = new Map();
+  tasks.filter(t => t.status !== 'completed').forEach(t => {
+    if (!tasksByTitle.has(t.title)) tasksByTitle.set(t.title, []);
+    tasksByTitle.get(t.title).push(t);
+  });
+  tasksByTitle.forEach((group, title) => {
+    // One task per event of a duplicated key is expected under 'separate'
+    if (group.length < 2 || (duplicateKeys.has(title) && group.length <= eventsByKey.get(title).length)) return;
+    duplicateRows.push({ item: title, kind: '📋 Task', count: group.length, resolution: '📂 Kept each' });
+  });
+  const mergedTaskGroups = new Map();
+  duplicates.forEach(t => mergedTaskGroups.set(t.title, (mergedTaskGroups.get(t.title) || 1) + 1));
+  mergedTaskGroups.forEach((count, title) => {
+    duplicateRows.push({ item: title, kind: '📋 Task', count, resolution: '🗑️ Merged into one' });
+  });
 
-  let created = 0, deleted = 0, reset = 0, phaseChanges = 0, markedCompleted = 0;
-  const actions = [];
-  const phase1Data = [];
-  const phase2Data = [];
+  const plan = {
+    profile,
+    taskListId: taskList.id,
+    routedTaskListIds: Array.from(routedLists.values()),
+    incremental: !!changes,
+    syncState,
+    startDate: formatLocalDate(since ? new Date(since) : aWhileAgo),
+    endDate: formatLocalDate(today),
+    phase1: [],
+    phase2: [],
+    duplicates: duplicateRows,
+    deletions: [],
+    warnings
+  };
 
   // === Phase 1: Create tasks for unwatched events ===
-  logAction("PHASE 1️⃣: CREATE TASKS", actions, true);
   for (const ev of events) {
-    if (normalizeColor(ev.getColor()) === UNWATCHED_COLOR_ID && !ev.isRecurringEvent()) {
+    if (isUnwatched(ev)) {
       const key = buildTaskTitle(ev);
-      if (!taskKeys.has(key)) {
-        phaseChanges++;
-        if (insertTask(taskList.id, key, ev.getLocation())) {
-          created++;
-          logAction(`🆕 CREATED task for: ${key}`, actions);
-          taskKeys.add(key);
-          phase1Data.push({ event: key, status: '➕ Created' });
+      const link = eventLink(ev);
+      const label = ev.isRecurringEvent() ? describeEvent(ev) : key;
+      const linked = taskByEventId.get(linkKey(link));
+      const legacy = !linked && (legacyTasksByTitle.get(key) || []).shift();
+
+      const due = taskDueDate(ev);
+      const details = eventDetailLines(ev, calendar.getId());
+
+      if (linked) {
+        const { body, meta } = parseTaskNotes(linked.notes);
+        const stored = taskMetadata(meta);
+        // Completed tasks are deleted in Phase 2, so they aren't touched here
+        const done = linked.status === 'completed';
+        const metadata = stored || done ? null : lookupMetadata(ev.getTitle());
+        // Only what's missing is backfilled; a due date the user changed is kept
+        const backfill = !hasEventDetails(body) || !linked.due || !!metadata;
+        if (done || (meta.eventKey === key && !backfill)) {
+          plan.phase1.push({ row: { event: label, status: '📌 Exists', details: formatMetadata(stored) } });
         } else {
-          logAction(`⚠️ Failed creating task for: ${key}`, actions);
+          // Event was renamed or moved to another day -> follow it.
+          // Tasks from older versions also get the due date, event details and metadata added.
+          plan.phase1.push({
+            row: {
+              event: label, status: meta.eventKey === key ? '🧾 Backfilled' : '✏️ Updated', details: formatMetadata(stored || metadata)
+            },
+            op: {
+              type: 'updateTask', taskId: linked.id, taskListId: linked.taskListId, title: key,
+              due: meta.eventKey === key && linked.due ? linked.due : due,
+              notes: buildTaskNotes(withEventDetails(body, details), { ...meta, eventKey: key, ...metadataFooter(metadata) }),
+              previousTitle: linked.title, previousNotes: linked.notes || '', previousDue: linked.due
+            }
+          });
         }
+      } else if (legacy) {
+        // Pre-link task matched by title -> store the event ID so later renames keep the link
+        legacyAssignments.set(legacy.id, ev);
+        const { body, meta } = parseTaskNotes(legacy.notes);
+        const stored = taskMetadata(meta);
+        const metadata = stored ? null : lookupMetadata(ev.getTitle());
+        plan.phase1.push({
+          row: { event: label, status: '🔗 Linked', details: formatMetadata(stored || metadata) },
+          op: {
+            type: 'updateTask', taskId: legacy.id, taskListId: legacy.taskListId, title: legacy.title, due,
+            notes: buildTaskNotes(withEventDetails(body, details), { ...meta, ...link, eventKey: key, ...metadataFooter(metadata) }),
+            previousTitle: legacy.title, previousNotes: legacy.notes || '', previousDue: legacy.due
+          }
+        });
       } else {
-        phase1Data.push({ event: key, status: '📌 Exists' });
+        const location = ev.getLocation();
+        const rule = matchPlatformRule(location);
+        const routedListId = rule && routedLists.get(rule.taskListName);
+        const metadata = lookupMetadata(ev.getTitle());
+        plan.phase1.push({
+          row: {
+            event: label, status: routedListId ? `➕ Created → ${rule.taskListName}` : '➕ Created', details: formatMetadata(metadata)
+          },
+          op: {
+            type: 'createTask', title: key, due, link, metadata,
+            taskListId: routedListId || taskList.id,
+            body: withEventDetails(`On: ${platformLabel(location)}`, details)
+          }
+        });
       }
     }
   }
 
-  ifNoChange(phaseChanges, actions);
-
-// === Phase 2: Cleanup Tasks & Reset Events ===
-  logAction("PHASE 2️⃣: CLEANUP TASKS & RESET EVENTS", actions, true);
-  phaseChanges = 0;
+  // === Phase 2: Cleanup Tasks & Reset Events ===
   for (const task of tasks) {
-    const ev = eventByKey.get(task.title);
+    const ev = findEventForTask(task);
 
     // --- Case 1: Completed Tasks ---
     if (task.status === 'completed') {
-      phaseChanges++;
+      // Completed tasks are removed by the final delete loop. A task whose event still needs its color
+      // reset is only removed once that worked, otherwise the next run would create it again.
+      if (!ev || !isUnwatched(ev)) plan.deletions.push(snapshotTask(task));
       if (!ev) {
-        // Task Completed + No Event (Manual / Orphan Task) -> Deleted in final cleanup loop
-        logAction(`🗑️ DELETE completed orphan task: ${task.title}`, actions);
-        addPhase2Entry(phase2Data, task, '✅ Done → 🗑️ Deleted', null, '—');
-      } else if (normalizeColor(ev.getColor()) === UNWATCHED_COLOR_ID) {
+        // Task Completed + No Event (Manual / Orphan Task)
+        plan.phase2.push({
+          row: buildPhase2Row(task, '✅ Done → 🗑️ Deleted', null, '—'),
+          log: `🗑️ DELETE completed orphan task: ${task.title}`
+        });
+      } else if (isUnwatched(ev)) {
         // Task Completed + Event Unwatched -> Reset Event Color
-        try {
-          ev.setColor(DEFAULT_COLOR_ID);
-          reset++;
-          logAction(`🔁 RESET COLOR for: ${ev.getTitle()}`, actions);
-          // Task is already marked completed, let Bulk Clear handle deletion.
-          logAction(`🗑️ DELETE completed task after event reset: ${task.title}`, actions);
-          addPhase2Entry(phase2Data, task, '✅ Done → 🗑️ Deleted', ev, '🔁 Reset to Watched');
-        } catch (e) {
-          logAction(`⚠️ Error resetting color for ${ev.getTitle()}: ${e.message}`, actions);
-        }
+        plan.phase2.push({
+          row: buildPhase2Row(task, '✅ Done → 🗑️ Deleted', ev, '🔁 Reset to Watched'),
+          op: {
+            type: 'resetColor', link: eventLink(ev), title: describeEvent(ev), taskTitle: task.title, task: snapshotTask(task),
+            // Copies merged into this event are marked watched along with it
+            mergedLinks: (mergedEvents.get(linkKey(eventLink(ev))) || []).filter(isUnwatched).map(eventLink)
+          }
+        });
       } else {
-        addPhase2Entry(phase2Data, task, '✅ Done → 🗑️ Deleted', ev, '✓ Watched');
+        plan.phase2.push({
+          row: buildPhase2Row(task, '✅ Done → 🗑️ Deleted', ev, '✓ Watched'),
+          log: `🗑️ DELETE completed task: ${task.title}`
+        });
       }
-      // For all completed tasks, we simply move on. They will be removed by the final clear() call.
       continue; 
     }
 
     // --- Case 2: Incomplete Task Handling (status === 'needsAction') ---
     
+    if (!ev && profile.twoWaySync && isManualTask(task)) {
+      // Incomplete Task typed in by hand + two-way sync -> create an unwatched event and link the task to it
+      const { body } = parseTaskNotes(task.notes);
+      const op = {
+        type: 'createEvent',
+        taskId: task.id,
+        taskListId: task.taskListId,
+        title: task.title,
+        date: orphanEventDate(task),
+        location: parsePlatform(body),
+        previousNotes: task.notes || '',
+        previousDue: task.due
+      };
+      const eventDate = Utilities.formatDate(parseDate(op.date), SCRIPT_TIME_ZONE, 'MM/dd/yyyy');
+      plan.phase2.push({
+        row: buildPhase2Row(task, '📅 Event Created', `${op.title} (${eventDate})`, '🔴 Unwatched'),
+        op
+      });
+      continue;
+    }
+
     if (!ev) {
       // Incomplete Task + No Event (Manual / Orphan Task) -> NO CHANGE, KEEP TASK
       logAction(`Keeping orphaned incomplete task: ${task.title}`);
-      addPhase2Entry(phase2Data, task, '📂 Kept (No Event)', null, '—');
+      plan.phase2.push({ row: buildPhase2Row(task, '📂 Kept (No Event)', null, '—') });
       continue;
     }
 
-    if (normalizeColor(ev.getColor()) === UNWATCHED_COLOR_ID) {
+    if (isUnwatched(ev)) {
       // Incomplete Task + Event Unwatched -> NO CHANGE, KEEP TASK (The list item we're still tracking)
       logAction(`Keeping unwatched event's task: ${task.title}`);
-      addPhase2Entry(phase2Data, task, '⏳ Tracking', ev, '🔴 Unwatched');
+      plan.phase2.push({ row: buildPhase2Row(task, '⏳ Tracking', ev, '🔴 Unwatched') });
       continue;
     }
 
     // Incomplete Task + Event Watched/Default -> Mark as Completed for deletion
+    plan.phase2.push({
+      row: buildPhase2Row(task, '✓ Watched → 🗑️ Deleted', ev, '✓ Watched'),
+      op: {
+        type: 'completeTask', taskId: task.id, taskListId: task.taskListId, title: task.title, task: snapshotTask(task)
+      }
+    });
+  }
+
+  // Merged copies are listed in the duplicates section; here they only need deleting
+  for (const duplicate of duplicates) {
+    plan.deletions.push(snapshotTask(duplicate));
+    logAction(`♊ MERGE duplicate task: ${duplicate.title}`);
+  }
+
+  return plan;
+}
+
+// Executes a plan from buildSyncPlan() and returns the report data (see renderSyncResults).
+// Rows whose operation fails are left out of the phase tables and listed under `failures` instead,
+// together with their operation so retryFailedItems() can run just those again.
+function applySyncPlan(plan) {
+  const profile = plan.profile;
+  const calendar = findProfileCalendar(profile);
+  const taskListId = plan.taskListId;
+
+  let created = 0, updated = 0, deleted = 0, reset = 0, eventsCreated = 0, phaseChanges = 0, markedCompleted = 0;
+  const actions = [];
+  // Mutation journal, in the order the changes were made, for rollbackLastSync()
+  const journal = [];
+  const failures = [];
+  const fail = (failure, message) => {
+    logAction(`⚠️ ${failure.action} failed for ${failure.item}: ${message}`, actions);
+    failures.push({ ...failure, error: message });
+  };
+  const warnings = (plan.warnings || []).slice();
+  const warn = (item, action, message) => {
+    logAction(`⚠️ ${item}: ${message}`, actions);
+    warnings.push({ item, action, message });
+  };
+
+  // === Phase 1: Create tasks for unwatched events ===
+  logAction("PHASE 1️⃣: CREATE TASKS", actions, true);
+  // New tasks are inserted in batches after the loop; rows stay in plan order
+  const phase1Rows = plan.phase1.map(entry => entry.op ? null : entry.row);
+  const creates = [];
+  plan.phase1.forEach(({ row, op }, index) => {
+    if (!op) return;
     phaseChanges++;
+    if (op.type === 'createTask') {
+      creates.push(index);
+      return;
+    }
     try {
-      const updatedTask = { id: task.id, status: 'completed' };
-      Tasks.Tasks.patch(updatedTask, taskList.id, task.id);
-      markedCompleted++;
-      logAction(`🗑️ DELETE (event watched): ${task.title}`, actions);
-      addPhase2Entry(phase2Data, task, '✓ Watched → 🗑️ Deleted', ev, '✓ Watched');
+      taskStore().patchTask(op.taskListId || taskListId, op.taskId, { title: op.title, notes: op.notes, due: op.due });
+      journal.push({
+        type: 'taskUpdated', taskId: op.taskId, taskListId: op.taskListId,
+        title: op.previousTitle, notes: op.previousNotes, due: op.previousDue
+      });
+      updated++;
+      logAction(`✏️ UPDATED task: ${op.previousTitle} → ${op.title}`, actions);
+      phase1Rows[index] = row;
     } catch (e) {
-      logAction(`⚠️ Failed marking task (event watched) as completed: ${task.title}: ${e.message}`, actions);
+      fail({ phase: 'phase1', row, op, item: op.previousTitle, action: '✏️ Update task' }, e.message);
+    }
+  });
+
+  const inserted = insertTasks(creates.map(index => plan.phase1[index].op), taskListId);
+  creates.forEach((index, i) => {
+    const { row, op } = plan.phase1[index];
+    if (inserted[i].error) {
+      fail({ phase: 'phase1', row, op, item: op.title, action: '➕ Create task' }, inserted[i].error);
+      return;
+    }
+    journal.push({ type: 'taskCreated', taskId: inserted[i].task.id, taskListId: op.taskListId, title: op.title });
+    created++;
+    logAction(`🆕 CREATED task for: ${op.title}`, actions);
+    phase1Rows[index] = row;
+  });
+  const phase1Data = phase1Rows.filter(Boolean);
+
+  ifNoChange(phaseChanges, actions);
+
+  // === Phase 2: Cleanup Tasks & Reset Events ===
+  logAction("PHASE 2️⃣: CLEANUP TASKS & RESET EVENTS", actions, true);
+  phaseChanges = 0;
+  const phase2Data = [];
+  const tasksToDelete = plan.deletions.slice();
+  for (const { row, op, log } of plan.phase2) {
+    if (log) {
+      phaseChanges++;
+      logAction(log, actions);
+    }
+    if (!op) {
+      phase2Data.push(row);
+      continue;
+    }
+
+    phaseChanges++;
+    if (op.type === 'resetColor') {
+      try {
+        // Only this occurrence is recolored when the event is part of a recurring series
+        const ev = calendar ? callWithRetry(() => getLinkedEvent(calendar, op.link)) : null;
+        if (!ev) throw new Error('event no longer exists');
+        const previousColor = ev.getColor();
+        callWithRetry(() => ev.setColor(profile.defaultColorId));
+        journal.push({ type: 'colorReset', link: op.link, title: op.title, previousColor });
+        for (const link of op.mergedLinks || []) {
+          const copy = callWithRetry(() => getLinkedEvent(calendar, link));
+          if (!copy) continue;
+          journal.push({ type: 'colorReset', link, title: op.title, previousColor: copy.getColor() });
+          callWithRetry(() => copy.setColor(profile.defaultColorId));
+        }
+        reset++;
+        tasksToDelete.push(op.task);
+        logAction(`🔁 RESET COLOR for: ${op.title}`, actions);
+        // Task is already marked completed, the delete loop below removes it.
+        logAction(`🗑️ DELETE completed task after event reset: ${op.taskTitle}`, actions);
+        phase2Data.push(row);
+      } catch (e) {
+        fail({ phase: 'phase2', row, op, item: op.title, action: '🔁 Reset color' }, e.message);
+      }
+    } else if (op.type === 'completeTask') {
+      try {
+        taskStore().patchTask(op.taskListId || taskListId, op.taskId, { id: op.taskId, status: 'completed' });
+        markedCompleted++;
+        tasksToDelete.push(op.task);
+        logAction(`🗑️ DELETE (event watched): ${op.title}`, actions);
+        phase2Data.push(row);
+      } catch (e) {
+        fail({ phase: 'phase2', row, op, item: op.title, action: '✓ Complete task' }, e.message);
+      }
+    } else if (op.type === 'createEvent') {
+      let ev = null;
+      try {
+        if (!calendar) throw new Error('calendar not found');
+        // A retry of an op whose event was already created only finishes linking the task
+        ev = op.eventId ? calendar.getEventById(op.eventId) : null;
+        if (!ev) {
+          ev = callWithRetry(() => calendar.createAllDayEvent(op.title, parseDate(op.date), { location: op.location }));
+          journal.push({
+            type: 'eventCreated', eventId: ev.getId(), title: op.title,
+            taskId: op.taskId, taskListId: op.taskListId, notes: op.previousNotes, due: op.previousDue
+          });
+        }
+        callWithRetry(() => ev.setColor(profile.unwatchedColorId));
+        // From here on the task is linked like any task the sync created itself
+        const { body, meta } = parseTaskNotes(op.previousNotes);
+        taskStore().patchTask(op.taskListId || taskListId, op.taskId, {
+          notes: buildTaskNotes(withEventDetails(body, eventDetailLines(ev, calendar.getId())), {
+            ...meta, ...eventLink(ev), eventKey: buildTaskTitle(ev)
+          }),
+          due: taskDueDate(ev)
+        });
+        eventsCreated++;
+        logAction(`📅 CREATED event for orphan task: ${op.title} (${op.date})`, actions);
+        phase2Data.push(row);
+      } catch (e) {
+        // The failure keeps the created event's ID, so retrying it doesn't create a second event
+        const failedOp = ev ? { ...op, eventId: ev.getId() } : op;
+        fail({ phase: 'phase2', row, op: failedOp, item: op.title, action: '📅 Create event' }, e.message);
+      }
     }
   }
   
-  // Delete completed tasks individually (bulk clear only hides, doesn't permanently delete)
-  // Re-fetch tasks to get updated statuses after marking some as completed above
-  const refreshedTasks = listAllTasks(taskList.id);
-  const tasksToDelete = refreshedTasks.filter(t => t.status === 'completed');
-  
-  let successfulDeletions = 0;
+  // Delete completed tasks individually (bulk clear only hides, doesn't permanently delete),
+  // sent in batches
   if (tasksToDelete.length > 0) {
     logAction(`🧹 Deleting ${tasksToDelete.length} completed tasks...`, actions);
-    for (const task of tasksToDelete) {
-      if (deleteTask(taskList.id, task)) {
-        successfulDeletions++;
-      } else {
-        logAction(`⚠️ Failed to delete task: ${task.title}`, actions);
+    const errors = deleteTasks(tasksToDelete, taskListId);
+    tasksToDelete.forEach((task, i) => {
+      if (errors[i]) {
+        fail({ phase: 'deletion', task, item: task.title, action: '🗑️ Delete task' }, errors[i]);
+        return;
       }
-    }
-    deleted = successfulDeletions;
-    logAction(`✅ Successfully deleted ${successfulDeletions} tasks`, actions);
+      journal.push({ type: 'taskDeleted', task });
+      deleted++;
+    });
+    logAction(`✅ Successfully deleted ${deleted} tasks`, actions);
   }
 
   ifNoChange(phaseChanges + markedCompleted, actions);
 
+  const taskOrder = getTaskOrder();
+  if (taskOrder !== 'none') {
+    try {
+      const moved = [taskListId].concat(plan.routedTaskListIds || [])
+        .reduce((sum, listId) => sum + orderTasks(listId, taskOrder), 0);
+      if (moved > 0) logAction(`↕️ Reordered ${moved} task(s) by ${taskOrder}`, actions);
+    } catch (e) {
+      // Order is cosmetic, so a failure here doesn't hold back the incremental sync state
+      warn(profile.taskListName, '↕️ Reorder tasks', `Failed reordering tasks: ${e.message}`);
+    }
+  }
+
+  // Lookups made while planning are cached now that the run holds the sync lock
+  saveMetadataCache();
+  if (calendar && calendar.forgetRemovedEntries) calendar.forgetRemovedEntries();
+
+  // Only move the incremental starting point forward when everything went through,
+  // otherwise the same changes are picked up (and retried) by the next run
+  if (plan.syncState) {
+    if (failures.length === 0) {
+      saveSyncState(profile, plan.syncState);
+    } else {
+      warn(profile.name, '⚡ Incremental sync', `${failures.length} change(s) failed, keeping the previous sync token`);
+    }
+  }
+
   // Summary
-  logAction("✅ SYNC COMPLETE", actions, true);
-  const summary = `Created: ${created}, Deleted: ${deleted}, Reset: ${reset}`;
+  logAction(`✅ SYNC COMPLETE (${profile.name})`, actions, true);
+  const summary = `${plan.incremental ? '⚡ Incremental — ' : ''}` +
+    `Created: ${created}, Updated: ${updated}, Deleted: ${deleted}, Reset: ${reset}` +
+    `${profile.twoWaySync ? `, Events created: ${eventsCreated}` : ''}` +
+    `${failures.length > 0 ? `, Failed: ${failures.length}` : ''}` +
+    `${warnings.length > 0 ? `, Warnings: ${warnings.length}` : ''}`;
   logAction(`📊 Summary — ${summary}`, actions);
   
-  return generateHtmlReport(summary, phase1Data, phase2Data, aWhileAgo, today);
+  return {
+    profileName: profile.name,
+    startDate: plan.startDate,
+    endDate: plan.endDate,
+    summary,
+    counts: { created, updated, deleted, reset, eventsCreated, failed: failures.length, warnings: warnings.length },
+    phase1Data,
+    phase2Data,
+    duplicateData: plan.duplicates,
+    failures,
+    warnings,
+    journal: { calendarName: profile.calendarName, feedUrl: profile.feedUrl, taskListId, entries: journal }
+  };
+}
+
+// Counts the mutations a plan would make (used for the preview summary)
+function countPlannedChanges(plan) {
+  const ops = plan.phase1.concat(plan.phase2).map(entry => entry.op).filter(Boolean);
+  const create = ops.filter(op => op.type === 'createTask').length;
+  const update = ops.filter(op => op.type === 'updateTask').length;
+  const reset = ops.filter(op => op.type === 'resetColor').length;
+  const events = ops.filter(op => op.type === 'createEvent').length;
+  const toDelete = plan.deletions.length + ops.filter(op => op.type === 'completeTask' || op.type === 'resetColor').length;
+  return { create, update, delete: toDelete, reset, events, total: create + update + reset + events + toDelete };
 }
 
 // -----------------------------------------------------------------
-// Helpers
+// Sync Profiles
 // -----------------------------------------------------------------
 
-function getCalendarByName(name) {
-  const calendars = CalendarApp.getCalendarsByName(name);
-  return calendars.length > 0 ? calendars[0] : null; 
+// Profiles are stored as a JSON array in script properties:
+// [{ name, calendarName, taskListName, unwatchedColorId, defaultColorId, twoWaySync, feedUrl, feedFilters }, ...]
+// `twoWaySync` turns incomplete tasks without an event into unwatched events on the profile's calendar.
+// Profiles with a `feedUrl` read an ICS feed instead of a calendar (see Feed Calendars).
+function getSyncProfiles() {
+  const stored = PropertiesService.getScriptProperties().getProperty(SYNC_PROFILES_PROPERTY);
+  if (!stored) {
+    return [{
+      name: 'Default',
+      calendarName: CALENDAR_NAME,
+      taskListName: TASK_LIST_NAME,
+      unwatchedColorId: UNWATCHED_COLOR_ID,
+      defaultColorId: DEFAULT_COLOR_ID,
+      twoWaySync: false
+    }];
+  }
+  return JSON.parse(stored);
 }
 
-function getTaskListByName(name) {
-  const resp = Tasks.Tasklists.list({ fields: 'items(title,id)' });
-  return resp.items?.find(list => list.title === name) || null;
+// Validates and stores the full list of profiles (replaces whatever was saved before)
+function saveSyncProfiles(profiles) {
+  const cleaned = cleanSyncProfiles(profiles);
+  PropertiesService.getScriptProperties().setProperty(SYNC_PROFILES_PROPERTY, JSON.stringify(cleaned));
+  return cleaned;
 }
 
-function listAllTasks(taskListId) {
-  let all = [];
-  let pageToken;
-  do {
-    const resp = Tasks.Tasks.list(taskListId, {
-      showCompleted: true,
-      showHidden: true,
-      maxResults: 100,
-      pageToken: pageToken,
-      fields: 'items(title,id,notes,status),nextPageToken' 
-    });
-    if (resp.items) all = all.concat(resp.items);
-    pageToken = resp.nextPageToken;
-  } while (pageToken);
-  return all;
-}
+function cleanSyncProfiles(profiles) {
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    throw new Error('At least one sync profile is required');
+  }
 
-// Unified logging helper
-function logAction(msg, actions, isHeader = false) {
-  let logMsg = msg;
-  let htmlMsg = msg;
+  const cleaned = profiles.map(p => {
+    const isFeed = isFeedProfile(p);
+    return {
+      name: String(p.name || '').trim(),
+      calendarName: isFeed ? '' : String(p.calendarName || '').trim(),
+      taskListName: String(p.taskListName || '').trim(),
+      unwatchedColorId: String(p.unwatchedColorId || '').trim(),
+      defaultColorId: String(p.defaultColorId || '').trim(),
+      twoWaySync: p.twoWaySync === true,
+      ...(isFeed ? { feedUrl: String(p.feedUrl).trim(), feedFilters: cleanFeedFilters(p.feedFilters) } : {})
+    };
+  });
 
-  if (isHeader) {
-    const line = "====================";
-    logMsg = `${line} ${msg} ${line}`;
-    htmlMsg = `<div class="phase">${msg}</div>`;
+  const seenIds = new Set();
+  for (const p of cleaned) {
+    const isFeed = isFeedProfile(p);
+    if (!p.name || !(p.calendarName || isFeed) || !p.taskListName) {
+      throw new Error(`Profile "${p.name}" needs a name, calendarName and taskListName`);
+    }
+    if (isFeed && !/^(https?|webcal):\/\/\S+$/i.test(p.feedUrl)) {
+      throw new Error(`Profile "${p.name}" needs an http(s):// or webcal:// feed URL`);
+    }
+    if (isFeed && p.twoWaySync) {
+      throw new Error(`Profile "${p.name}": feeds are read-only, so events can't be created for its tasks`);
+    }
+    if (!isValidColorId(p.unwatchedColorId) || !isValidColorId(p.defaultColorId)) {
+      throw new Error(`Profile "${p.name}" has an invalid color ID (use '1' to '11')`);
+    }
+    if (p.unwatchedColorId === p.defaultColorId) {
+      throw new Error(`Profile "${p.name}" uses the same color for unwatched and default`);
+    }
+    // Names double as report section IDs, so they must stay distinct once slugged
+    const id = profileSectionId(p.name);
+    if (seenIds.has(id)) throw new Error(`Profile names must be unique: "${p.name}"`);
+    seenIds.add(id);
   }
+  return cleaned;
+}
 
-  Logger.log(logMsg);
+// Feed profiles carry a `feedUrl`, even while it is still empty on the settings page
+function isFeedProfile(profile) {
+  return profile.feedUrl !== undefined && profile.feedUrl !== null;
+}
 
-  if (actions) {
-    actions.push(isHeader ? htmlMsg : msg);
-  }
+// All profiles when `profileName` is empty, otherwise the single named profile (or none)
+function selectSyncProfiles(profileName) {
+  const profiles = getSyncProfiles();
+  if (!profileName || typeof profileName !== 'string') return profiles;
+  return profiles.filter(p => p.name === profileName);
 }
 
-function ifNoChange(phaseChanges, actions) {
-  if (phaseChanges === 0) {
-    logAction("No changes in this phase", actions);
-  }
+// -----------------------------------------------------------------
+// Incremental Sync
+// -----------------------------------------------------------------
+
+// Per-profile state saved after each applied run:
+// { calendarSyncToken, tasksUpdatedMin, taskIndex: { <taskId>: { title, link } } }
+// The task index lets an incremental run find the task linked to a changed event without listing every task.
+// Calendars that can't hand out sync tokens (no listEventChanges, e.g. the Calendar advanced service
+// isn't enabled) always get a full run.
+function isIncrementalSyncEnabled() {
+  return PropertiesService.getScriptProperties().getProperty(INCREMENTAL_SYNC_PROPERTY) === 'true' &&
+    isIncrementalSyncAvailable();
 }
 
-function buildTaskTitle(ev) {
-  const tz = Session.getScriptTimeZone();
-  const eventDate = Utilities.formatDate(ev.getStartTime(), SCRIPT_TIME_ZONE, 'MM/dd/yyyy');
-  return `${ev.getTitle()} (${eventDate})`;
+function isIncrementalSyncAvailable() {
+  return !!calendarAdapter().listEventChanges;
 }
 
-function insertTask(taskListId, taskTitle, location) {
-  const icon = platformIcon(location);
-  const notes = `On: ${icon} ${location || 'N/A'}`;
-  const task = { title: taskTitle, notes, status: 'needsAction' };
+function syncStateKey(profile) {
+  return `SYNC_STATE_${profileSectionId(profile.name)}`;
+}
+
+function saveSyncState(profile, state) {
+  saveJsonProperty(syncStateKey(profile), state);
+}
+
+// Starting point taken during a full run: a fresh Calendar sync token and an index of every task
+function startSyncState(calendar, tasks, runStartedAt) {
+  const taskIndex = {};
+  tasks.forEach(t => { taskIndex[t.id] = taskIndexEntry(t); });
+  return {
+    calendarSyncToken: calendarAdapter().listEventChanges(calendar.getId(), null, 'nextPageToken,nextSyncToken').nextSyncToken,
+    tasksUpdatedMin: runStartedAt,
+    taskIndex
+  };
+}
+
+// Returns only the events and tasks that changed since the saved state, plus the tasks linked to those
+// events. Returns null when there is no usable state (first run, or the sync token expired) so the
+// caller falls back to a full resync.
+function fetchIncrementalChanges(calendar, taskListId, profile, runStartedAt) {
+  const state = loadJsonProperty(syncStateKey(profile));
+  if (!state || !state.calendarSyncToken) return null;
+
+  let calendarChanges;
   try {
-    Tasks.Tasks.insert(task, taskListId);
-    return true;
+    calendarChanges = calendarAdapter().listEventChanges(calendar.getId(), state.calendarSyncToken);
   } catch (e) {
-    Logger.log(`Error creating task: ${e.message}`);
-    return false;
+    if (/410|sync token|full sync/i.test(e.message)) return null;
+    throw e;
   }
+
+  // Bring the task index up to date first, so links to tasks created or deleted since last time resolve
+  const taskIndex = state.taskIndex || {};
+  const changedTasks = taskStore().listTasks(taskListId, { updatedMin: state.tasksUpdatedMin, showDeleted: true });
+  changedTasks.forEach(t => {
+    if (t.deleted) {
+      delete taskIndex[t.id];
+    } else {
+      taskIndex[t.id] = taskIndexEntry(t);
+    }
+  });
+
+  // Same scope as a full run: events up to now, not upcoming ones
+  const now = new Date();
+  const events = calendarChanges.items
+    .filter(item => item.status !== 'cancelled' && item.start)
+    .map(wrapApiEvent)
+    .filter(ev => ev.getStartTime() <= now);
+
+  // Unchanged tasks linked to changed events are needed too (e.g. event marked watched -> complete its task)
+  const tasks = changedTasks.filter(t => !t.deleted);
+  const loaded = new Set(tasks.map(t => t.id));
+  const wanted = new Set();
+  events.forEach(ev => {
+    wanted.add(linkKey(eventLink(ev)));
+    wanted.add(buildTaskTitle(ev));
+  });
+  Object.keys(taskIndex).forEach(taskId => {
+    const entry = taskIndex[taskId];
+    if (loaded.has(taskId) || !wanted.has(entry.link || entry.title)) return;
+    const task = taskStore().getTask(taskListId, taskId);
+    if (task) tasks.push(task);
+  });
+
+  return {
+    events,
+    tasks,
+    since: state.tasksUpdatedMin,
+    syncState: { calendarSyncToken: calendarChanges.nextSyncToken, tasksUpdatedMin: runStartedAt, taskIndex }
+  };
+}
+
+function taskIndexEntry(task) {
+  const { meta } = parseTaskNotes(task.notes);
+  return { title: task.title, link: meta.eventId ? linkKey(meta) : null };
 }
 
-function deleteTask(taskListId, task) {
+// Read-only stand-in for a CalendarEvent, built from a Calendar API event resource (listEventChanges).
+// Changes are still made through CalendarApp (see getLinkedEvent).
+function wrapApiEvent(resource) {
+  const start = resource.start.dateTime ? new Date(resource.start.dateTime) : parseDate(resource.start.date);
+  const endSource = resource.end || resource.start;
+  const end = endSource.dateTime ? new Date(endSource.dateTime) : parseDate(endSource.date);
+  return {
+    getId: () => resource.iCalUID,
+    getTitle: () => resource.summary || '',
+    getDescription: () => resource.description || '',
+    getStartTime: () => start,
+    getEndTime: () => end,
+    isAllDayEvent: () => !resource.start.dateTime,
+    getColor: () => resource.colorId || '',
+    getLocation: () => resource.location || '',
+    isRecurringEvent: () => !!resource.recurringEventId
+  };
+}
+
+// -----------------------------------------------------------------
+// Run History
+// -----------------------------------------------------------------
+
+// The index (SYNC_HISTORY) holds one line per run, newest first; full rows live under SYNC_RUN_<id>
+function recordSyncRun(source, results) {
+  if (results.length === 0) return null;
+
+  const run = {
+    id: Utilities.getUuid(),
+    ranAt: new Date().toISOString(),
+    source,
+    startDate: results[0].startDate || null,
+    endDate: results[0].endDate || null,
+    profiles: results.map(result => ({
+      name: result.profileName,
+      summary: resultSummary(result)
+    })),
+    failed: results.reduce((sum, result) => sum + (result.failures ? result.failures.length : 0), 0)
+  };
+
   try {
-    Tasks.Tasks.remove(taskListId, task.id);
-    return true;
+    const history = getSyncHistory();
+    // Make room by dropping the oldest runs while the property store is full
+    for (;;) {
+      try {
+        saveJsonProperty(`SYNC_RUN_${run.id}`, results);
+        break;
+      } catch (e) {
+        if (history.length === 0) throw e;
+        deleteJsonProperty(`SYNC_RUN_${history.pop().id}`);
+      }
+    }
+    history.unshift(run);
+    pruneSyncHistory(history, getSyncHistoryLimit());
   } catch (e) {
-    Logger.log(`Error deleting task: ${e.message}`);
-    return false;
+    // History is best-effort: a full property store must never fail the sync itself
+    logAction(`⚠️ Could not save run history: ${e.message}`);
   }
+  return run;
 }
 
-// Normalize color: treat "" as DEFAULT_COLOR_ID
-function normalizeColor(color) {
-  return color === "" ? DEFAULT_COLOR_ID : color;
+function getSyncHistory() {
+  return loadJsonProperty(SYNC_HISTORY_PROPERTY) || [];
 }
 
-// Helper to add phase 2 data entries
-function addPhase2Entry(phase2Data, task, taskStatus, event, eventStatus) {
-  phase2Data.push({
-    task: task.title,
-    taskStatus,
-    event: event ? (typeof event === 'string' ? event : event.getTitle()) : 'No Event',
-    eventStatus
-  });
+// Re-renders a past run with the same layout as a live report
+function getSyncRunReport(runId) {
+  const results = loadJsonProperty(`SYNC_RUN_${runId}`);
+  if (!results) return '⚠️ Run not found in history';
+  return renderSyncReport(results);
 }
 
-// Expanded platform icon mapping
-function platformIcon(location) {
-  if (!location) return '';
-  const lc = location.toLowerCase();
-  const platformMap = new Map([
-    [['netflix'], '🍿'],
-    [['prime', 'amazon'], '📦'],
-    [['disney'], '🪄'],
-    [['hulu'], '💚'],
-    [['hbo', 'max'], '🎥'],
-    [['apple'], '🍎'],
-    [['peacock'], '🦚'],
-    [['paramount'], '🌄'],
-    [['starz'], '⭐'],
-    [['youtube'], '▶️'],
-    [['game pass', 'xbox'], '🎮']
-  ]);
-
-  for (const [keywords, icon] of platformMap.entries()) {
-    if (keywords.some(keyword => lc.includes(keyword))) {
-      return icon;
-    }
-  }
-  return '';
-}
-
-function generateHtmlReport(summary, phase1Data, phase2Data, startDate, endDate) {
-  const formatDate = (date) => {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
+function getSyncHistoryLimit() {
+  const stored = parseInt(PropertiesService.getScriptProperties().getProperty(SYNC_HISTORY_LIMIT_PROPERTY), 10);
+  return stored > 0 ? stored : DEFAULT_SYNC_HISTORY_LIMIT;
+}
+
+// Drops runs beyond `limit`, and keeps dropping the oldest while the property store is full
+function pruneSyncHistory(history, limit) {
+  while (history.length > limit) {
+    deleteJsonProperty(`SYNC_RUN_${history.pop().id}`);
+  }
+  while (history.length > 0) {
+    try {
+      saveJsonProperty(SYNC_HISTORY_PROPERTY, history);
+      return;
+    } catch (e) {
+      if (history.length === 1) throw e;
+      deleteJsonProperty(`SYNC_RUN_${history.pop().id}`);
+    }
+  }
+}
+
+// -----------------------------------------------------------------
+// Rollback
+// -----------------------------------------------------------------
+
+// Reverses the most recent run from its journal. Deleted tasks come back as new tasks
+// (same title, notes, status and due date, new ID); created tasks are removed,
+// renamed tasks get their old title and notes, event colors are restored and events created
+// for orphan tasks are deleted again.
+// Returns { busy } instead of a report when another run is in progress.
+function rollbackLastSync() {
+  return withSyncLock(() => {
+    const history = getSyncHistory();
+    const run = history[0];
+    if (!run) return '⚠️ No sync run to roll back';
+    if (run.rolledBackAt) return '⚠️ The last sync run was already rolled back';
+
+    const results = loadJsonProperty(`SYNC_RUN_${run.id}`);
+    if (!results) return '⚠️ The last sync run is missing from history';
+    if (!results.some(result => result.journal)) return '⚠️ The last sync run has no rollback journal';
+
+    const rows = [];
+    for (const result of results) {
+      if (result.journal) rows.push(...rollbackJournal(result.profileName, result.journal));
+    }
+
+    run.rolledBackAt = new Date().toISOString();
+    saveJsonProperty(SYNC_HISTORY_PROPERTY, history);
+    return generateRollbackReport(run, rows);
+  });
+}
+
+// Undoes journal entries newest first; each entry becomes one report row
+function rollbackJournal(profileName, journal) {
+  const profile = journal.feedUrl ? selectSyncProfiles(profileName)[0] : null;
+  const calendar = profile ? findProfileCalendar(profile) : getCalendarByName(journal.calendarName);
+  const taskListId = journal.taskListId;
+  const rows = [];
+
+  for (const entry of journal.entries.slice().reverse()) {
+    const row = { profile: profileName, item: entry.title || (entry.task && entry.task.title) };
+    // Tasks routed by platform rules live in other lists; older journals only have the profile's list
+    const listId = entry.taskListId || (entry.task && entry.task.taskListId) || taskListId;
+    try {
+      if (entry.type === 'taskDeleted') {
+        const { title, notes, status, due } = entry.task;
+        taskStore().insertTask(listId, { title, notes, status, due });
+        row.action = '♻️ Restored deleted task';
+      } else if (entry.type === 'taskCreated') {
+        taskStore().removeTask(listId, entry.taskId);
+        row.action = '🗑️ Removed created task';
+      } else if (entry.type === 'taskUpdated') {
+        taskStore().patchTask(listId, entry.taskId, { title: entry.title, notes: entry.notes, due: entry.due || null });
+        row.action = '✏️ Restored title, notes and due date';
+      } else if (entry.type === 'eventCreated') {
+        const ev = calendar ? calendar.getEventById(entry.eventId) : null;
+        if (ev) callWithRetry(() => ev.deleteEvent());
+        taskStore().patchTask(listId, entry.taskId, { notes: entry.notes, due: entry.due || null });
+        row.action = '🗑️ Removed created event';
+      } else if (entry.type === 'colorReset') {
+        const ev = calendar ? getLinkedEvent(calendar, entry.link) : null;
+        if (!ev) throw new Error('event no longer exists');
+        callWithRetry(() => ev.setColor(entry.previousColor));
+        row.action = '🎨 Restored event color';
+      }
+      row.result = '✅ Done';
+      logAction(`↩️ ROLLBACK ${row.action}: ${row.item}`);
+    } catch (e) {
+      row.action = row.action || entry.type;
+      row.result = `⚠️ Failed: ${e.message}`;
+      logAction(`⚠️ Rollback failed for ${row.item}: ${e.message}`);
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+// -----------------------------------------------------------------
+// Retrying Failed Items
+// -----------------------------------------------------------------
+
+// Applies just the changes that failed in a saved run (by default the latest run with failures
+// that wasn't retried yet) and saves the outcome as a new 'retry' run.
+// Returns { busy } instead of a report when another run is in progress.
+function retryFailedItems(runId) {
+  return withSyncLock(() => {
+    const history = getSyncHistory();
+    const run = runId
+      ? history.find(entry => entry.id === runId)
+      : history.find(entry => entry.failed > 0 && !entry.retriedAt);
+    if (!run) return '⚠️ No run with failed items to retry';
+    if (run.retriedAt) return '⚠️ The failed items of that run were already retried';
+
+    const results = loadJsonProperty(`SYNC_RUN_${run.id}`);
+    if (!results) return '⚠️ That run is missing from history';
+
+    const retried = [];
+    for (const result of results) {
+      if (!result.failures || result.failures.length === 0) continue;
+      const profile = selectSyncProfiles(result.profileName)[0];
+      retried.push(profile
+        ? applySyncPlan(buildRetryPlan(profile, result))
+        : { profileName: result.profileName, error: profileNotFound(result.profileName) });
+    }
+    if (retried.length === 0) return '⚠️ That run has no failed items';
+
+    run.retriedAt = new Date().toISOString();
+    saveJsonProperty(SYNC_HISTORY_PROPERTY, history);
+    recordSyncRun('retry', retried);
+    return renderSyncReport(retried);
+  });
+}
+
+// A plan holding only the failed operations of a saved result, in their original phases
+function buildRetryPlan(profile, result) {
+  const failuresIn = (phase) => result.failures.filter(failure => failure.phase === phase);
+  return {
+    profile,
+    taskListId: result.journal.taskListId,
+    routedTaskListIds: [],
+    incremental: false,
+    syncState: null,
+    startDate: result.startDate,
+    endDate: result.endDate,
+    phase1: failuresIn('phase1').map(({ row, op }) => ({ row, op })),
+    phase2: failuresIn('phase2').map(({ row, op }) => ({ row, op })),
+    duplicates: [],
+    deletions: failuresIn('deletion').map(failure => failure.task)
+  };
+}
+
+// -----------------------------------------------------------------
+// API Calls (retry, backoff, batching)
+// -----------------------------------------------------------------
+
+// Runs fn(), retrying rate-limit and transient errors with exponential backoff.
+// Anything else (not found, bad request ...) is thrown right away.
+function callWithRetry(fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return fn();
+    } catch (e) {
+      if (attempt >= API_MAX_ATTEMPTS || !isTransientError(e.message)) throw e;
+      const delay = backoffDelay(attempt);
+      logAction(`⏳ ${e.message} — retrying in ${delay} ms (attempt ${attempt + 1} of ${API_MAX_ATTEMPTS})`);
+      Utilities.sleep(delay);
+    }
+  }
+}
+
+function isTransientError(message) {
+  return /rate ?limit|quota|too many|429|50[0-4]|backend error|internal error|timed? ?out|try again|unavailable/i
+    .test(message || '');
+}
+
+// 0.5 s, 1 s, 2 s, ... plus jitter so parallel callers don't retry in lockstep
+function backoffDelay(attempt) {
+  return API_BACKOFF_MS * Math.pow(2, attempt - 1) + Math.floor(Math.random() * API_BACKOFF_MS);
+}
+
+// Inserts the tasks of createTask ops; returns { task } or { error } per op, in order
+function insertTasks(ops, defaultListId) {
+  return taskStore().insertTasks(ops.map(op => ({
+    taskListId: op.taskListId || defaultListId,
+    task: {
+      title: op.title,
+      notes: buildTaskNotes(op.body, { ...op.link, eventKey: op.title, ...metadataFooter(op.metadata) }),
+      status: 'needsAction',
+      due: op.due
+    }
+  })));
+}
+
+// Deletes tasks (snapshots carry their list); returns an error message or null per task
+function deleteTasks(tasks, defaultListId) {
+  return taskStore().deleteTasks(tasks.map(task => ({ taskListId: task.taskListId || defaultListId, taskId: task.id })));
+}
+
+// Sends Tasks API requests ({ method, path, body }) as multipart batches.
+// Returns { status, body, error } per request, in order; parts that hit rate limits or transient
+// errors are sent again (with backoff) until API_MAX_ATTEMPTS.
+function batchTasksRequests(requests) {
+  const results = new Array(requests.length);
+  let pending = requests.map((request, index) => index);
+  for (let attempt = 1; pending.length > 0; attempt++) {
+    if (attempt > 1) Utilities.sleep(backoffDelay(attempt - 1));
+    const retry = [];
+    for (let start = 0; start < pending.length; start += TASKS_BATCH_SIZE) {
+      const chunk = pending.slice(start, start + TASKS_BATCH_SIZE);
+      const responses = sendTasksBatch(chunk.map(index => requests[index]));
+      chunk.forEach((index, i) => {
+        const response = responses[i];
+        const transient = response.status === 0 || response.status === 429 || response.status >= 500 ||
+          (response.status === 403 && isTransientError(response.error));
+        if (transient && attempt < API_MAX_ATTEMPTS) {
+          retry.push(index);
+        } else {
+          results[index] = response;
+        }
+      });
+    }
+    if (retry.length > 0) logAction(`⏳ ${retry.length} batched request(s) hit rate limits, retrying`);
+    pending = retry;
+  }
+  return results;
+}
+
+function sendTasksBatch(requests) {
+  const boundary = `batch_${Utilities.getUuid()}`;
+  const payload = requests.map((request, i) => [
+    `--${boundary}`,
+    'Content-Type: application/http',
+    `Content-ID: <item${i}>`,
+    '',
+    `${request.method} ${request.path} HTTP/1.1`,
+    ...(request.body ? ['Content-Type: application/json', '', JSON.stringify(request.body)] : ['']),
+    ''
+  ].join('\r\n')).join('') + `--${boundary}--`;
+
+  let response;
+  try {
+    response = callWithRetry(() => UrlFetchApp.fetch('https://tasks.googleapis.com/batch/tasks/v1', {
+      method: 'post',
+      contentType: `multipart/mixed; boundary=${boundary}`,
+      payload,
+      headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+      muteHttpExceptions: true
+    }));
+  } catch (e) {
+    return requests.map(() => ({ status: 0, body: null, error: e.message }));
+  }
+
+  const code = response.getResponseCode();
+  if (code !== 200) {
+    const error = `batch request failed with HTTP ${code}`;
+    return requests.map(() => ({ status: code, body: null, error }));
+  }
+  return parseBatchResponse(response, requests.length);
+}
+
+// Splits a multipart/mixed batch response into { status, body, error } per request
+function parseBatchResponse(response, count) {
+  const headers = response.getHeaders();
+  const contentType = headers['Content-Type'] || headers['content-type'] || '';
+  const boundary = (contentType.match(/boundary=([^;\s]+)/) || [])[1];
+  const results = [];
+  for (let i = 0; i < count; i++) results.push({ status: 0, body: null, error: 'missing from batch response' });
+  if (!boundary) return results;
+
+  response.getContentText().split(`--${boundary}`).forEach(part => {
+    const id = part.match(/Content-ID:\s*<response-item(\d+)>/i);
+    const statusLine = part.match(/HTTP\/1\.1 (\d+)/);
+    if (!id || !statusLine) return;
+    const status = Number(statusLine[1]);
+    const bodyStart = part.indexOf('\r\n\r\n', statusLine.index);
+    const text = bodyStart === -1 ? '' : part.slice(bodyStart + 4).trim();
+    let body = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch (e) {
+      body = null;
+    }
+    const error = status >= 300
+      ? (body && body.error && body.error.message) || `HTTP ${status}`
+      : null;
+    results[Number(id[1])] = { status, body, error };
+  });
+  return results;
+}
+
+// -----------------------------------------------------------------
+// Calendar and Task Store Adapters
+// -----------------------------------------------------------------
+
+// The sync reads and changes calendars and tasks only through these two adapters. Apps Script uses
+// CalendarApp and the Tasks service; other runtimes install their own with useSyncAdapters
+// (see calendar_to_task_node.js, which syncs an ICS file into a JSON file).
+//
+// Calendar adapter:
+//   getCalendarByName(name)     -> calendar or null
+//   getAllCalendars()           -> [calendar]
+//   listEventChanges(calendarId, syncToken, fields) -> { items, nextSyncToken }   (optional, incremental sync)
+// Calendars and events offer the CalendarApp methods the sync uses: getId, getName, getEvents,
+// getEventById, createAllDayEvent; getId, getTitle, getDescription, getLocation, getStartTime,
+// getEndTime, isAllDayEvent, isRecurringEvent, getColor, setColor, deleteEvent.
+//
+// Task store (tasks are Tasks API resources):
+//   listTaskLists()                           -> [{ id, title }]
+//   listTasks(taskListId, { updatedMin, showDeleted }) -> [task]
+//   getTask(taskListId, taskId)               -> task
+//   insertTask(taskListId, task)              -> task
+//   insertTasks([{ taskListId, task }])       -> [{ task } or { error }]
+//   patchTask(taskListId, taskId, fields)     -> task
+//   removeTask(taskListId, taskId)
+//   deleteTasks([{ taskListId, taskId }])     -> [error message or null]
+//   moveTask(taskListId, taskId, previousId)
+//
+// fetchFeed(url) -> ICS text (optional) replaces the HTTP fetch of feed profiles (see Feed Calendars).
+// metadata (optional) is the metadata provider that enriches tasks (see Metadata Enrichment).
+let syncAdapters = null;
+
+// Replaces the calendar, task store, feed fetch and/or metadata provider for the rest of the run:
+// useSyncAdapters({ calendar, tasks, fetchFeed, metadata })
+function useSyncAdapters(adapters) {
+  syncAdapters = adapters;
+}
+
+function calendarAdapter() {
+  return (syncAdapters && syncAdapters.calendar) || googleCalendarAdapter();
+}
+
+function taskStore() {
+  return (syncAdapters && syncAdapters.tasks) || googleTaskStore();
+}
+
+function googleCalendarAdapter() {
+  return {
+    getCalendarByName: (name) => {
+      const calendars = CalendarApp.getCalendarsByName(name);
+      return calendars.length > 0 ? calendars[0] : null;
+    },
+    getAllCalendars: () => CalendarApp.getAllCalendars(),
+    // Pages through Calendar.Events.list; with a sync token only changed events are returned.
+    // Without one it lists everything, which is how the first token is obtained.
+    // Only there when the Calendar advanced service is enabled, so without it every run is a full run.
+    listEventChanges: typeof Calendar === 'undefined' ? undefined : (calendarId, syncToken, fields) => {
+      let items = [];
+      let pageToken;
+      let resp;
+      do {
+        const params = { singleEvents: true, showDeleted: !!syncToken, maxResults: 2500, pageToken };
+        if (syncToken) params.syncToken = syncToken;
+        if (fields) params.fields = fields;
+        resp = callWithRetry(() => Calendar.Events.list(calendarId, params));
+        if (resp.items) items = items.concat(resp.items);
+        pageToken = resp.nextPageToken;
+      } while (pageToken);
+      return { items, nextSyncToken: resp.nextSyncToken };
+    }
+  };
+}
+
+// Tasks advanced service; bulk inserts and deletes go through the batch endpoint
+function googleTaskStore() {
+  return {
+    listTaskLists: () => callWithRetry(() => Tasks.Tasklists.list({ maxResults: 100, fields: 'items(title,id)' })).items || [],
+    // `updatedMin` lists only tasks changed since then; `showDeleted` includes deleted ones
+    listTasks: (taskListId, options) => {
+      let all = [];
+      let pageToken;
+      do {
+        const resp = callWithRetry(() => Tasks.Tasks.list(taskListId, {
+          updatedMin: options.updatedMin,
+          showCompleted: true,
+          showHidden: true,
+          showDeleted: !!options.showDeleted,
+          maxResults: 100,
+          pageToken: pageToken,
+          fields: 'items(title,id,notes,status,due,updated,position,parent,deleted),nextPageToken'
+        }));
+        if (resp.items) all = all.concat(resp.items);
+        pageToken = resp.nextPageToken;
+      } while (pageToken);
+      return all;
+    },
+    getTask: (taskListId, taskId) => callWithRetry(() => Tasks.Tasks.get(taskListId, taskId)),
+    insertTask: (taskListId, task) => callWithRetry(() => Tasks.Tasks.insert(task, taskListId)),
+    insertTasks: (items) => batchTasksRequests(items.map(item => ({
+      method: 'POST',
+      path: `/tasks/v1/lists/${encodeURIComponent(item.taskListId)}/tasks`,
+      body: item.task
+    }))).map(response => response.error ? { error: response.error } : { task: response.body }),
+    patchTask: (taskListId, taskId, fields) => callWithRetry(() => Tasks.Tasks.patch(fields, taskListId, taskId)),
+    removeTask: (taskListId, taskId) => callWithRetry(() => Tasks.Tasks.remove(taskListId, taskId)),
+    // A task that is already gone counts as deleted
+    deleteTasks: (items) => batchTasksRequests(items.map(item => ({
+      method: 'DELETE',
+      path: `/tasks/v1/lists/${encodeURIComponent(item.taskListId)}/tasks/${encodeURIComponent(item.taskId)}`
+    }))).map(response => response.status === 404 ? null : response.error),
+    moveTask: (taskListId, taskId, previousId) =>
+      callWithRetry(() => Tasks.Tasks.move(taskListId, taskId, previousId ? { previous: previousId } : {}))
+  };
+}
+
+// -----------------------------------------------------------------
+// ICS Calendars
+// -----------------------------------------------------------------
+
+// Calendar adapter over iCalendar text (e.g. calendars exported from Google Calendar).
+// `sources` is [{ name, text }]; a source without a name uses the file's X-WR-CALNAME.
+// Changes stay in memory; each calendar's toIcs() returns the updated file (hasChanges() tells whether it differs).
+function icsCalendarAdapter(sources) {
+  const calendars = sources.map(source => icsCalendar(source.name, source.text));
+  return {
+    getCalendarByName: (name) => calendars.find(cal => cal.getName() === name) || null,
+    getAllCalendars: () => calendars
+  };
+}
+
+// A CalendarApp-like calendar over the VEVENTs of an ICS file. The event color is the COLOR
+// property, either a Google color ID or name ("7", "Peacock"); events without one have the default color.
+// Recurring events (RRULE, RDATE, EXDATE) are expanded into their occurrences within the range asked for;
+// coloring one occurrence writes it back as an override VEVENT (RECURRENCE-ID) so the rest of the series keeps its color.
+function icsCalendar(name, text) {
+  const parsed = parseIcs(text);
+  const calendarName = name || parsed.name;
+  const records = parsed.events;
+  let changed = false;
+  records.forEach(record => {
+    if (record.recurrenceId) record.series = records.find(r => r.uid === record.uid && !r.recurrenceId) || null;
+  });
+
+  const isOverridden = (series, start) => records.some(record =>
+    record.uid === series.uid && record.recurrenceId && record.recurrenceId.getTime() === start.getTime()
+  );
+
+  const wrap = (record) => ({
+    getId: () => record.uid,
+    getTitle: () => record.title,
+    getDescription: () => record.description,
+    getLocation: () => record.location,
+    getCategories: () => record.categories,
+    getStartTime: () => record.start,
+    getEndTime: () => record.end,
+    isAllDayEvent: () => record.allDay,
+    isRecurringEvent: () => record.recurring,
+    getColor: () => record.color,
+    getEventUrl: () => record.url || record.uid,
+    setColor: (colorId) => {
+      if (record.color === String(colorId)) return;
+      record.color = String(colorId);
+      // An occurrence becomes an override of its series
+      if (record.series && records.indexOf(record) === -1) records.push(record);
+      changed = true;
+    },
+    deleteEvent: () => {
+      const index = records.indexOf(record);
+      if (index !== -1) records.splice(index, 1);
+      if (record.series) {
+        record.series.exdates.push(record.recurrenceId);
+        record.series.removedOccurrences.push(record.recurrenceId);
+      }
+      changed = true;
+    }
+  });
+
+  // The listed events: single events and overrides as they are, each series as its occurrences in [start, end)
+  const occurrences = (start, end) => records.reduce((all, record) => {
+    if (!record.start || record.cancelled) return all;
+    if (!record.rule && record.rdates.length === 0) return all.concat([record]);
+    return all.concat(expandIcsSeries(record, start, end)
+      .filter(occurrence => !isOverridden(record, occurrence.start)));
+  }, []);
+
+  return {
+    getId: () => calendarName,
+    getName: () => calendarName,
+    // Events overlapping [start, end), earliest first
+    getEvents: (start, end, options) => {
+      const found = occurrences(start, end)
+        .filter(record => record.start < end && (record.end > start || record.start >= start))
+        .sort((a, b) => a.start - b.start)
+        .map(wrap);
+      return options && options.max ? found.slice(0, options.max) : found;
+    },
+    // A series is returned as its first occurrence
+    getEventById: (id) => {
+      const record = records.find(r => r.uid === id && !r.recurrenceId);
+      return record ? wrap(record) : null;
+    },
+    // One event per series, not each occurrence
+    getAllEvents: () => records.filter(record => record.start && !record.recurrenceId).map(wrap),
+    createAllDayEvent: (title, date, options) => {
+      const end = new Date(date);
+      end.setDate(end.getDate() + 1);
+      const record = {
+        uid: `${Utilities.getUuid()}@calendar-to-task`, title, description: '',
+        location: (options && options.location) || '', categories: [], url: '', color: '',
+        start: date, end, allDay: true, recurring: false, rule: null, rdates: [], exdates: [], removedOccurrences: [], lines: null
+      };
+      records.push(record);
+      changed = true;
+      return wrap(record);
+    },
+    hasChanges: () => changed,
+    toIcs: () => serializeIcs(parsed.header, records)
+  };
+}
+
+// Splits ICS text into the calendar's own lines (header) and event records.
+// Events keep their original lines so unknown properties survive a rewrite.
+function parseIcs(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const result = { name: '', header: [], events: [] };
+  let eventLines = null;
+  let depth = 0;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    if (eventLines) {
+      eventLines.push(line);
+      if (/^BEGIN:/i.test(line)) depth++;
+      if (/^END:/i.test(line) && --depth === 0) {
+        result.events.push(parseIcsEvent(eventLines));
+        eventLines = null;
+      }
+    } else if (/^BEGIN:VEVENT$/i.test(line)) {
+      eventLines = [line];
+      depth = 1;
+    } else if (!/^END:VCALENDAR$/i.test(line)) {
+      result.header.push(line);
+      const prop = parseIcsLine(line);
+      if (prop.name === 'X-WR-CALNAME') result.name = unescapeIcsText(prop.value);
+    }
+  }
+  return result;
+}
+
+function parseIcsEvent(lines) {
+  const props = {};
+  let depth = 0;
+  lines.forEach((line, i) => {
+    // Properties of nested components (VALARM ...) aren't the event's
+    if (i > 0 && /^BEGIN:/i.test(line)) depth++;
+    if (depth > 0) {
+      if (/^END:/i.test(line)) depth--;
+      return;
+    }
+    const prop = parseIcsLine(line);
+    (props[prop.name] = props[prop.name] || []).push(prop);
+  });
+  const first = (key) => props[key] ? props[key][0] : null;
+  const text = (key) => first(key) ? unescapeIcsText(first(key).value) : '';
+
+  const startProp = first('DTSTART');
+  const start = startProp ? parseIcsDate(startProp) : null;
+  const allDay = !!startProp && (startProp.params.VALUE === 'DATE' || /^\d{8}$/.test(startProp.value));
+  let end = first('DTEND') ? parseIcsDate(first('DTEND')) : null;
+  if (!end && start) {
+    end = new Date(start.getTime() + parseIcsDuration(first('DURATION') ? first('DURATION').value : ''));
+    if (allDay && end.getTime() === start.getTime()) end.setDate(end.getDate() + 1);
+  }
+
+  const dates = (key) => (props[key] || []).reduce((all, prop) => all.concat(prop.value.split(',').map(value => {
+    const date = parseIcsDate({ name: prop.name, params: prop.params, value });
+    if (!date) throw new Error(`Recurring event "${text('SUMMARY')}" has a ${key} this calendar can't read: ${value}`);
+    return date;
+  })), []);
+
+  return {
+    uid: text('UID') || `${text('SUMMARY')}@${start ? start.toISOString() : ''}`,
+    title: text('SUMMARY'),
+    description: text('DESCRIPTION'),
+    location: text('LOCATION'),
+    categories: (props.CATEGORIES || [])
+      .reduce((all, prop) => all.concat(prop.value.split(/(?<!\\),/)), [])
+      .map(unescapeIcsText)
+      .filter(Boolean),
+    url: text('URL'),
+    color: icsColorId(text('COLOR')),
+    originalColor: icsColorId(text('COLOR')),
+    start,
+    end,
+    allDay,
+    recurring: !!first('RRULE') || !!first('RDATE') || !!first('RECURRENCE-ID'),
+    startZone: startProp ? icsTimeZone(startProp) : '',
+    rule: start && first('RRULE') ? parseIcsRule(first('RRULE').value, text('SUMMARY')) : null,
+    rdates: start ? dates('RDATE') : [],
+    exdates: dates('EXDATE'),
+    removedOccurrences: [],
+    recurrenceId: first('RECURRENCE-ID') ? parseIcsDate(first('RECURRENCE-ID')) : null,
+    cancelled: text('STATUS').toUpperCase() === 'CANCELLED',
+    lines
+  };
+}
+
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ICS_RULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST'];
+// Steps (days, weeks, months or years) a series is followed before giving up
+const ICS_MAX_RULE_STEPS = 100000;
+
+// "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20261231T000000Z" -> { freq, interval, count, until, byDay, weekStart }.
+// DAILY, WEEKLY (optionally on BYDAY weekdays), MONTHLY and YEARLY rules with INTERVAL, COUNT and UNTIL are expanded;
+// any other rule throws instead of being read as a single event.
+function parseIcsRule(value, title) {
+  const parts = {};
+  value.split(';').filter(Boolean).forEach(part => {
+    const eq = part.indexOf('=');
+    parts[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).toUpperCase();
+  });
+  const byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+  const until = parts.UNTIL ? parseIcsDate({ name: 'UNTIL', params: {}, value: parts.UNTIL }) : null;
+  const supported = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(parts.FREQ) &&
+    Object.keys(parts).every(key => ICS_RULE_PARTS.includes(key)) &&
+    /^[1-9]\d*$/.test(parts.INTERVAL || '1') &&
+    /^[1-9]\d*$/.test(parts.COUNT || '1') &&
+    (!parts.UNTIL || !!until) &&
+    (byDay.length === 0 || (parts.FREQ === 'WEEKLY' && byDay.every(day => ICS_WEEKDAYS.includes(day)))) &&
+    ICS_WEEKDAYS.includes(parts.WKST || 'MO');
+  if (!supported) throw new Error(`Recurring event "${title}" has an RRULE this calendar can't expand: ${value}`);
+
+  return {
+    freq: parts.FREQ,
+    interval: Number(parts.INTERVAL || 1),
+    count: Number(parts.COUNT || 0),
+    until,
+    untilIsDate: /^\d{8}$/.test(parts.UNTIL || ''),
+    byDay: byDay.map(day => ICS_WEEKDAYS.indexOf(day)),
+    weekStart: ICS_WEEKDAYS.indexOf(parts.WKST || 'MO')
+  };
+}
+
+// The occurrences of a series starting before `end`, as event records. Occurrences step in the
+// wall-clock time of DTSTART's time zone, so they keep their time of day across DST changes.
+function expandIcsSeries(series, start, end) {
+  const zone = series.allDay ? '' : series.startZone;
+  const length = series.end - series.start;
+  const days = Math.round(length / 86400000);
+  const excluded = new Set(series.exdates.map(date => date.getTime()));
+  const starts = (series.rule ? icsRuleStarts(series, end) : [series.start]).concat(series.rdates);
+
+  const seen = new Set();
+  return starts
+    .filter(date => {
+      const time = date.getTime();
+      if (date >= end || excluded.has(time) || seen.has(time)) return false;
+      seen.add(time);
+      return true;
+    })
+    .map(occurrenceStart => {
+      let occurrenceEnd = new Date(occurrenceStart.getTime() + length);
+      if (series.allDay) {
+        const [year, month, day] = icsWallTime(occurrenceStart, zone);
+        occurrenceEnd = new Date(year, month, day + days);
+      }
+      return {
+        ...series,
+        start: occurrenceStart,
+        end: occurrenceEnd,
+        recurring: true,
+        rule: null,
+        rdates: [],
+        exdates: [],
+        removedOccurrences: [],
+        recurrenceId: occurrenceStart,
+        series,
+        originalColor: '',
+        lines: null
+      };
+    });
+}
+
+// Start times the RRULE of a series generates, up to `end`, COUNT or UNTIL
+function icsRuleStarts(series, end) {
+  const rule = series.rule;
+  const zone = series.allDay ? '' : series.startZone;
+  const [year, month, day, ...time] = icsWallTime(series.start, zone);
+  const dayMs = 86400000;
+  const firstDay = Date.UTC(year, month, day) / dayMs;
+  const firstWeekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+  const weekOffsets = (rule.byDay.length > 0 ? rule.byDay : [firstWeekday])
+    .map(weekday => (weekday - rule.weekStart + 7) % 7)
+    .sort((a, b) => a - b);
+  const firstWeek = firstDay - (firstWeekday - rule.weekStart + 7) % 7;
+  // A DATE-only UNTIL on a timed series includes that whole day
+  const last = rule.until && rule.untilIsDate && !series.allDay
+    ? new Date(rule.until.getFullYear(), rule.until.getMonth(), rule.until.getDate() + 1, 0, 0, 0, -1)
+    : rule.until;
+
+  const starts = [];
+  for (let step = 0; step < ICS_MAX_RULE_STEPS; step++) {
+    let candidates = [];
+    if (rule.freq === 'DAILY') {
+      candidates = [firstDay + step * rule.interval];
+    } else if (rule.freq === 'WEEKLY') {
+      candidates = weekOffsets.map(offset => firstWeek + step * 7 * rule.interval + offset).filter(d => d >= firstDay);
+    } else {
+      // Months without the day (the 31st, February 29th) are skipped
+      const date = rule.freq === 'MONTHLY'
+        ? new Date(Date.UTC(year, month + step * rule.interval, day))
+        : new Date(Date.UTC(year + step * rule.interval, month, day));
+      if (date.getUTCDate() === day) candidates = [date.getTime() / dayMs];
+    }
+    for (const dayNumber of candidates) {
+      const date = new Date(dayNumber * dayMs);
+      const occurrence = icsFromWallTime([date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), ...time], zone);
+      if ((last && occurrence > last) || occurrence >= end) return starts;
+      starts.push(occurrence);
+      if (rule.count && starts.length >= rule.count) return starts;
+    }
+  }
+  return starts;
+}
+
+// The time zone DTSTART is in: 'UTC', its TZID, or '' for floating times and days (script time zone)
+function icsTimeZone(prop) {
+  if (/Z$/i.test(prop.value)) return 'UTC';
+  if (!prop.params.TZID || /^\d{8}$/.test(prop.value)) return '';
+  try {
+    timeZoneOffset(new Date(), prop.params.TZID);
+    return prop.params.TZID;
+  } catch (e) {
+    return '';
+  }
+}
+
+// [year, month, day, hours, minutes, seconds] of `date` in `zone` (see icsTimeZone)
+function icsWallTime(date, zone) {
+  if (!zone) return [date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds()];
+  if (zone === 'UTC') {
+    return [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()];
+  }
+  const parts = Utilities.formatDate(date, zone, 'yyyy-MM-dd-HH-mm-ss').split('-').map(Number);
+  parts[1]--;
+  return parts;
+}
+
+function icsFromWallTime(parts, zone) {
+  if (!zone) return new Date(...parts);
+  if (zone === 'UTC') return new Date(Date.UTC(...parts));
+  return zonedTime(parts, zone);
+}
+
+// "NAME;PARAM=value;PARAM="quoted":value" -> { name, params, value }
+function parseIcsLine(line) {
+  let colon = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length && colon === -1; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) colon = i;
+  }
+  const head = colon === -1 ? line : line.slice(0, colon);
+  const [name, ...paramParts] = head.split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const eq = part.indexOf('=');
+    if (eq !== -1) params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: colon === -1 ? '' : line.slice(colon + 1) };
+}
+
+function unescapeIcsText(value) {
+  return String(value || '').replace(/\\([\\;,nN])/g, (match, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+function escapeIcsText(value) {
+  return String(value || '').replace(/([\\;,])/g, '\\$1').replace(/\n/g, '\\n');
+}
+
+// DATE values are local days; DATE-TIME values are UTC ("Z"), in their TZID, or floating (script time zone)
+function parseIcsDate(prop) {
+  const m = prop.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  const parts = [Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4] || 0), Number(m[5] || 0), Number(m[6] || 0)];
+  if (!m[4]) return new Date(parts[0], parts[1], parts[2]);
+  if (m[7]) return new Date(Date.UTC(...parts));
+  if (prop.params.TZID) {
+    try {
+      return zonedTime(parts, prop.params.TZID);
+    } catch (e) {
+      // Unknown time zone names (e.g. Windows ones) fall back to floating time
+    }
+  }
+  return new Date(...parts);
+}
+
+// Wall-clock time in `timeZone` as a Date; the second pass settles times next to a DST change
+function zonedTime(parts, timeZone) {
+  const wall = Date.UTC(...parts);
+  let time = wall;
+  for (let i = 0; i < 2; i++) time = wall - timeZoneOffset(new Date(time), timeZone);
+  return new Date(time);
+}
+
+function timeZoneOffset(date, timeZone) {
+  const offset = Utilities.formatDate(date, timeZone, 'Z');   // e.g. +0530
+  const sign = offset[0] === '-' ? -1 : 1;
+  return sign * (Number(offset.slice(1, 3)) * 60 + Number(offset.slice(3, 5))) * 60000;
+}
+
+// "P1D", "PT1H30M", "P1W" -> milliseconds
+function parseIcsDuration(value) {
+  const m = String(value || '').match(/^[+]?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return 0;
+  const [, weeks, days, hours, minutes, seconds] = m.map(n => Number(n || 0));
+  return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+// COLOR holds a Google color ID, name or hex ("7", "Peacock", "#039be5")
+function icsColorId(value) {
+  const wanted = String(value || '').trim().toLowerCase();
+  if (!wanted) return '';
+  if (isValidColorId(wanted)) return wanted;
+  const color = EVENT_COLORS.find(c => c.name.toLowerCase() === wanted || c.hex === wanted);
+  return color ? color.id : '';
+}
+
+// Writes the calendar back: events keep their original lines (with COLOR updated where it changed),
+// new events are added and deleted ones dropped
+function serializeIcs(header, records) {
+  const lines = header.length > 0 ? header.slice() : ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//calendar_to_task//EN'];
+  const stamp = Utilities.formatDate(new Date(), 'UTC', "yyyyMMdd'T'HHmmss'Z'");
+  for (const record of records) {
+    const color = EVENT_COLORS.find(c => c.id === record.color);
+    const colorLine = record.color ? `COLOR:${color ? color.name : record.color}` : null;
+    // Days as VALUE=DATE, times in UTC
+    const dateValue = (date) => (record.allDay
+      ? `;VALUE=DATE:${Utilities.formatDate(date, SCRIPT_TIME_ZONE, 'yyyyMMdd')}`
+      : `:${Utilities.formatDate(date, 'UTC', "yyyyMMdd'T'HHmmss'Z'")}`);
+    const exdateLines = record.removedOccurrences.map(date => `EXDATE${dateValue(date)}`);
+    if (record.lines && record.color === record.originalColor && exdateLines.length === 0) {
+      lines.push(...record.lines);
+    } else if (record.lines) {
+      let depth = 0;
+      const kept = record.lines.filter((line, i) => {
+        if (i > 0 && /^BEGIN:/i.test(line)) depth++;
+        if (/^END:/i.test(line) && depth > 0) depth--;
+        return depth > 0 || !/^COLOR[;:]/i.test(line);
+      });
+      lines.push(kept[0], ...(colorLine ? [colorLine] : []), ...exdateLines, ...kept.slice(1));
+    } else {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${record.uid}`,
+        `DTSTAMP:${stamp}`,
+        ...(record.recurrenceId ? [`RECURRENCE-ID${dateValue(record.recurrenceId)}`] : []),
+        `DTSTART${dateValue(record.start)}`,
+        `DTEND${dateValue(record.end)}`,
+        `SUMMARY:${escapeIcsText(record.title)}`,
+        ...(record.description ? [`DESCRIPTION:${escapeIcsText(record.description)}`] : []),
+        ...(record.location ? [`LOCATION:${escapeIcsText(record.location)}`] : []),
+        ...(record.categories.length > 0 ? [`CATEGORIES:${record.categories.map(escapeIcsText).join(',')}`] : []),
+        ...(record.url ? [`URL:${record.url}`] : []),
+        ...(colorLine ? [colorLine] : []),
+        'END:VEVENT'
+      );
+    }
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Lines longer than 75 characters continue on the next line after a space
+function foldIcsLine(line) {
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) parts.push(line.slice(i, i + 74));
+  return parts.join('\r\n ');
+}
+
+// -----------------------------------------------------------------
+// Feed Calendars (ICS subscriptions)
+// -----------------------------------------------------------------
+
+// A profile with a `feedUrl` takes its events from an iCalendar feed (TV guide, game releases ...)
+// instead of a Google calendar. Feed entries have no color the user can change, so the profile's
+// `feedFilters` decide which entries are unwatched, and entries marked watched (task completed, or
+// "Mark watched" on the backlog page) are remembered in a script property, each occurrence of a series on its own.
+// feedFilters: { title: [...], category: [...], location: [...] }. An entry must match every filter
+// that is set, and any word of it (case-insensitive; titles and locations contain it, categories equal it).
+const FEED_WATCHED_PROPERTY_PREFIX = 'FEED_WATCHED_';
+
+// Fetches the feed of a feed profile and returns it as a read-only calendar; throws when the feed can't be loaded
+function getFeedCalendar(profile) {
+  const calendar = icsCalendar(profile.name, fetchFeed(profile.feedUrl));
+  const key = `${FEED_WATCHED_PROPERTY_PREFIX}${profileSectionId(profile.name)}`;
+  const uids = new Set(calendar.getAllEvents().map(ev => ev.getId()));
+  const stored = loadJsonProperty(key) || [];
+  // Entries that left the feed are forgotten; occurrences are stored as "<uid>#<start>".
+  // Loading the feed only reads (previews and the backlog page load it too), the pruned list is stored on the next write.
+  const watched = new Set(stored.filter(entry => uids.has(entry) || uids.has(entry.slice(0, entry.lastIndexOf('#')))));
+  let pruned = watched.size !== stored.length;
+  const saveWatched = () => {
+    saveJsonProperty(key, [...watched]);
+    pruned = false;
+  };
+
+  const wrap = (ev) => ({
+    ...ev,
+    getColor: () => watched.has(linkKey(eventLink(ev))) || !matchesFeedFilters(ev, profile.feedFilters)
+      ? profile.defaultColorId
+      : profile.unwatchedColorId,
+    setColor: (colorId) => {
+      if (String(colorId) === profile.unwatchedColorId) {
+        watched.delete(linkKey(eventLink(ev)));
+      } else {
+        watched.add(linkKey(eventLink(ev)));
+      }
+      saveWatched();
+    },
+    deleteEvent: () => { throw new Error('feed events are read-only'); }
+  });
+
+  return {
+    getId: () => profile.feedUrl,
+    getName: () => profile.name,
+    getEvents: (start, end, options) => calendar.getEvents(start, end, options).map(wrap),
+    getEventById: (id) => {
+      const ev = calendar.getEventById(id);
+      return ev ? wrap(ev) : null;
+    },
+    createAllDayEvent: () => { throw new Error('feed calendars are read-only'); },
+    // Called when a sync is applied, so entries that left the feed don't pile up in the property
+    forgetRemovedEntries: () => {
+      if (pruned) saveWatched();
+    }
+  };
+}
+
+function matchesFeedFilters(ev, filters) {
+  const f = filters || {};
+  const isSet = (words) => Array.isArray(words) && words.length > 0;
+  const contains = (text, words) => words.some(word => (text || '').toLowerCase().includes(word.toLowerCase()));
+  if (isSet(f.title) && !contains(ev.getTitle(), f.title)) return false;
+  if (isSet(f.location) && !contains(ev.getLocation(), f.location)) return false;
+  if (isSet(f.category)) {
+    const categories = ev.getCategories().map(category => category.toLowerCase());
+    if (!f.category.some(word => categories.includes(word.toLowerCase()))) return false;
+  }
+  return true;
+}
+
+// Filters from the settings page come as comma-separated text, from code as arrays
+function cleanFeedFilters(filters) {
+  const words = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(word => String(word).trim())
+    .filter(Boolean);
+  const f = filters || {};
+  return { title: words(f.title), category: words(f.category), location: words(f.location) };
+}
+
+// Feed text from the `fetchFeed` adapter when one is installed (e.g. a local file for tests), otherwise
+// over HTTP. webcal:// links are fetched as https://.
+function fetchFeed(url) {
+  if (syncAdapters && syncAdapters.fetchFeed) return syncAdapters.fetchFeed(url);
+  return callWithRetry(() => {
+    const response = UrlFetchApp.fetch(url.replace(/^webcal:/i, 'https:'), { muteHttpExceptions: true });
+    const code = response.getResponseCode();
+    if (code !== 200) throw new Error(`feed request failed with HTTP ${code}`);
+    return response.getContentText();
+  });
+}
+
+// -----------------------------------------------------------------
+// Metadata Enrichment
+// -----------------------------------------------------------------
+
+// Tasks get a title's year, runtime, genres, poster and synopsis from a metadata provider. They are
+// kept in the notes footer (year, runtime, genre, poster, synopsis) and shown in the report's Phase 1
+// table and on the 🎬 Backlog page. New tasks are enriched when created, older ones on the next sync.
+//
+// Metadata provider:
+//   name                -> part of the cache key, so switching providers doesn't reuse old answers
+//   lookup(title)       -> { year, runtime (minutes), genres: [name], poster (URL), synopsis } or null
+//   cacheDays           -> how long answers are kept in script properties (optional, default
+//                          METADATA_CACHE_DAYS; 0 = this run only)
+//
+// The built-in provider reads a JSON catalog (jsonCatalogProvider) saved on the ⚙️ Settings page, or
+// given to the Node runner with --catalog. An online movie database fits the same interface: its lookup
+// calls UrlFetchApp through callWithRetry, and it is installed with useSyncAdapters({ metadata }).
+let metadataProviderCache;
+
+// The `metadata` adapter when one is installed (null turns enrichment off), else the saved catalog
+function metadataProvider() {
+  if (syncAdapters && syncAdapters.metadata !== undefined) return syncAdapters.metadata;
+  if (metadataProviderCache === undefined) {
+    const catalog = loadJsonProperty(METADATA_CATALOG_PROPERTY);
+    metadataProviderCache = catalog ? jsonCatalogProvider(catalog.titles) : null;
+  }
+  return metadataProviderCache;
+}
+
+// Catalog: [{ title, aliases, year, runtime, genres, poster, synopsis }] or { titles: [...] }.
+// Titles are matched ignoring case, accents and punctuation; the first entry wins.
+function jsonCatalogProvider(catalog) {
+  const byTitle = new Map();
+  cleanMetadataCatalog(catalog).forEach(entry => {
+    [entry.title, ...(entry.aliases || [])].forEach(title => {
+      const key = metadataKey(title);
+      if (key && !byTitle.has(key)) byTitle.set(key, entry);
+    });
+  });
+  return {
+    name: 'catalog',
+    // Already local, nothing to save by caching it
+    cacheDays: 0,
+    lookup: (title) => byTitle.get(metadataKey(title)) || null
+  };
+}
+
+// Entries with a title, their fields checked like a lookup result (see cleanMetadata)
+function cleanMetadataCatalog(catalog) {
+  const entries = Array.isArray(catalog) ? catalog : (catalog && catalog.titles);
+  if (!Array.isArray(entries)) throw new Error('Catalog must be a list of titles or { "titles": [...] }');
+  return entries
+    .filter(entry => entry && typeof entry.title === 'string' && entry.title.trim())
+    .map(entry => ({
+      title: entry.title.trim(),
+      aliases: (Array.isArray(entry.aliases) ? entry.aliases : []).filter(alias => typeof alias === 'string'),
+      ...cleanMetadata(entry)
+    }));
+}
+
+// Provider answers are trusted as little as calendar text: numbers are checked, the poster must be
+// an http(s) URL and the synopsis is kept to one line of METADATA_SYNOPSIS_LIMIT characters
+function cleanMetadata(raw) {
+  if (!raw) return null;
+  const metadata = {};
+  const year = parseInt(raw.year, 10);
+  if (year >= 1870 && year <= 2100) metadata.year = year;
+  const runtime = parseInt(raw.runtime, 10);
+  if (runtime > 0 && runtime < 10000) metadata.runtime = runtime;
+  const genres = (Array.isArray(raw.genres) ? raw.genres : String(raw.genres || raw.genre || '').split(','))
+    .map(genre => String(genre).trim())
+    .filter(Boolean);
+  if (genres.length > 0) metadata.genres = genres;
+  if (/^https?:\/\/\S+$/i.test(raw.poster || '')) metadata.poster = raw.poster;
+  const synopsis = String(raw.synopsis || '').replace(/\s+/g, ' ').trim();
+  if (synopsis) {
+    metadata.synopsis = synopsis.length > METADATA_SYNOPSIS_LIMIT
+      ? `${synopsis.slice(0, METADATA_SYNOPSIS_LIMIT)}…`
+      : synopsis;
+  }
+  return Object.keys(metadata).length > 0 ? metadata : null;
+}
+
+function metadataKey(title) {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Answers (including "not found") are kept for the provider's cacheDays, so a slow or rate-limited
+// service is asked about each title once. A lookup that throws isn't cached and is tried again next run.
+function lookupMetadata(title) {
+  const provider = metadataProvider();
+  const titleKey = metadataKey(title);
+  if (!provider || !titleKey) return null;
+
+  const cache = getMetadataCache();
+  const key = `${provider.name}:${titleKey}`;
+  const cacheDays = provider.cacheDays === undefined ? METADATA_CACHE_DAYS : provider.cacheDays;
+  const cached = cache.entries[key];
+  if (cached && (cached.run || Date.now() - cached.at < cacheDays * 86400000)) return cached.metadata;
+
+  let metadata;
+  try {
+    metadata = cleanMetadata(provider.lookup(title));
+  } catch (e) {
+    logAction(`⚠️ Metadata lookup failed for ${title}: ${e.message}`);
+    return null;
+  }
+  cache.entries[key] = cacheDays > 0 ? { metadata, at: Date.now() } : { metadata, run: true };
+  if (cacheDays > 0) cache.dirty = true;
+  return metadata;
+}
+
+// Loaded once per execution; entries marked `run` only live until it ends
+let metadataCache = null;
+
+function getMetadataCache() {
+  if (!metadataCache) metadataCache = { entries: loadJsonProperty(METADATA_CACHE_PROPERTY) || {}, dirty: false };
+  return metadataCache;
+}
+
+// Writes new answers back, newest first, keeping METADATA_CACHE_LIMIT of them
+function saveMetadataCache() {
+  if (!metadataCache || !metadataCache.dirty) return;
+  const entries = Object.entries(metadataCache.entries)
+    .filter(([, entry]) => !entry.run)
+    .sort((a, b) => b[1].at - a[1].at)
+    .slice(0, METADATA_CACHE_LIMIT);
+  saveJsonProperty(METADATA_CACHE_PROPERTY, Object.fromEntries(entries));
+  metadataCache.dirty = false;
+}
+
+// Footer fields for buildTaskNotes (empty for no metadata)
+function metadataFooter(metadata) {
+  if (!metadata) return {};
+  return {
+    year: metadata.year,
+    runtime: metadata.runtime,
+    genre: metadata.genres && metadata.genres.join(', '),
+    poster: metadata.poster,
+    synopsis: metadata.synopsis
+  };
+}
+
+// Metadata stored in a task's notes footer (see parseTaskNotes), or null
+function taskMetadata(meta) {
+  if (!meta.year && !meta.runtime && !meta.genre && !meta.poster && !meta.synopsis) return null;
+  return cleanMetadata({
+    year: meta.year, runtime: meta.runtime, genres: meta.genre, poster: meta.poster, synopsis: meta.synopsis
+  });
+}
+
+// "2010 · Sci-Fi, Thriller · 2h 28m"
+function formatMetadata(metadata) {
+  if (!metadata) return '';
+  const hours = Math.floor((metadata.runtime || 0) / 60);
+  const minutes = (metadata.runtime || 0) % 60;
+  const runtime = [hours ? `${hours}h` : '', minutes ? `${minutes}m` : ''].filter(Boolean).join(' ');
+  return [metadata.year, (metadata.genres || []).join(', '), runtime].filter(Boolean).join(' · ');
+}
+
+// Catalog status for the ⚙️ Settings page
+function getMetadataStatus() {
+  const catalog = loadJsonProperty(METADATA_CATALOG_PROPERTY);
+  return { titles: catalog ? catalog.titles.length : 0, savedAt: catalog ? catalog.savedAt : null };
+}
+
+// Replaces the saved catalog with the JSON text of a catalog file. Cached answers are dropped,
+// so titles the old catalog didn't know are looked up again.
+function saveMetadataCatalog(text) {
+  let catalog;
+  try {
+    catalog = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Catalog is not valid JSON: ${e.message}`);
+  }
+  const titles = cleanMetadataCatalog(catalog);
+  if (titles.length === 0) throw new Error('Catalog has no titles');
+  saveJsonProperty(METADATA_CATALOG_PROPERTY, { titles, savedAt: new Date().toISOString() });
+  deleteJsonProperty(METADATA_CACHE_PROPERTY);
+  metadataProviderCache = undefined;
+  metadataCache = null;
+  return getMetadataStatus();
+}
+
+// Tasks keep the metadata they already have
+function removeMetadataCatalog() {
+  deleteJsonProperty(METADATA_CATALOG_PROPERTY);
+  deleteJsonProperty(METADATA_CACHE_PROPERTY);
+  metadataProviderCache = undefined;
+  metadataCache = null;
+  return getMetadataStatus();
+}
+
+// -----------------------------------------------------------------
+// Schedule (time-driven trigger)
+// -----------------------------------------------------------------
+
+function getSyncTriggers() {
+  return ScriptApp.getProjectTriggers().filter(trigger =>
+    trigger.getHandlerFunction() === SYNC_TRIGGER_HANDLER &&
+    trigger.getEventType() === ScriptApp.EventType.CLOCK
+  );
+}
+
+// Triggers don't expose their interval, so the one chosen here is remembered in a property.
+// A trigger added by hand in the editor shows up with an unknown interval.
+function getTriggerStatus() {
+  const props = PropertiesService.getScriptProperties();
+  const installed = getSyncTriggers().length;
+  return {
+    installed,
+    intervalHours: installed ? (parseInt(props.getProperty(SYNC_TRIGGER_INTERVAL_PROPERTY), 10) || null) : null,
+    intervals: SYNC_TRIGGER_INTERVALS,
+    lastRun: JSON.parse(props.getProperty(LAST_TRIGGER_RUN_PROPERTY) || 'null')
+  };
+}
+
+// Installs a single sync trigger, replacing any existing ones (including duplicates)
+function installSyncTrigger(intervalHours) {
+  const hours = parseInt(intervalHours, 10);
+  if (!SYNC_TRIGGER_INTERVALS.includes(hours)) {
+    throw new Error(`Interval must be one of ${SYNC_TRIGGER_INTERVALS.join(', ')} hours`);
+  }
+
+  getSyncTriggers().forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  const builder = ScriptApp.newTrigger(SYNC_TRIGGER_HANDLER).timeBased();
+  (hours === 24 ? builder.everyDays(1) : builder.everyHours(hours)).create();
+  PropertiesService.getScriptProperties().setProperty(SYNC_TRIGGER_INTERVAL_PROPERTY, String(hours));
+  logAction(`⏰ Sync trigger installed: every ${hours} hour(s)`);
+  return getTriggerStatus();
+}
+
+function removeSyncTriggers() {
+  getSyncTriggers().forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  PropertiesService.getScriptProperties().deleteProperty(SYNC_TRIGGER_INTERVAL_PROPERTY);
+  logAction('⏰ Sync trigger removed');
+  return getTriggerStatus();
+}
+
+function recordTriggerRun(outcome, detail) {
+  PropertiesService.getScriptProperties().setProperty(
+    LAST_TRIGGER_RUN_PROPERTY,
+    JSON.stringify({ at: new Date().toISOString(), outcome, detail })
+  );
+}
+
+// -----------------------------------------------------------------
+// Backlog Page (web app 🎬 Backlog)
+// -----------------------------------------------------------------
+
+// Open items of every profile (or just `profileName`), with their age, for the backlog page
+function getBacklogView(profileName) {
+  const profiles = selectSyncProfiles(profileName);
+  if (profiles.length === 0) throw new Error(profileNotFound(profileName).message);
+  return {
+    snoozeDays: BACKLOG_SNOOZE_DAYS,
+    profiles: profiles.map(profile => {
+      const backlog = getProfileBacklog(profile);
+      if (backlog.error) return { profileName: profile.name, error: errorMessage(backlog.error) };
+      return {
+        ...backlog,
+        items: backlog.items.map(item => ({
+          ...item,
+          age: item.due ? backlogAge(item.due) : '',
+          details: formatMetadata(item.metadata),
+          snoozed: isSnoozed(item)
+        }))
+      };
+    })
+  };
+}
+
+function isSnoozed(item) {
+  return !!item.snoozedUntil && item.snoozedUntil > formatLocalDate(new Date());
+}
+
+// Completes the task and resets its event to the watched color, so the next sync only has to delete it
+function markBacklogItemWatched(profileName, taskListId, taskId) {
+  return updateBacklogItem(profileName, taskListId, taskId, (task, meta, resetEvent) => {
+    taskStore().patchTask(taskListId, taskId, { status: 'completed' });
+    return ['✅ Task completed'].concat(resetEvent());
+  });
+}
+
+// Deletes the task. Its event is reset as well, otherwise the next sync would add the task again.
+function removeBacklogItem(profileName, taskListId, taskId) {
+  return updateBacklogItem(profileName, taskListId, taskId, (task, meta, resetEvent) => {
+    taskStore().removeTask(taskListId, taskId);
+    return ['🗑️ Task deleted'].concat(resetEvent());
+  });
+}
+
+// Hides the item on the backlog page (and from the digest's oldest items) for `days` days; 0 ends the snooze.
+// The date is kept in the notes footer, which the sync carries over.
+function snoozeBacklogItem(profileName, taskListId, taskId, days) {
+  const count = parseInt(days, 10);
+  if (count !== 0 && !BACKLOG_SNOOZE_DAYS.includes(count)) {
+    throw new Error(`Snooze must be one of ${BACKLOG_SNOOZE_DAYS.join(', ')} days`);
+  }
+  return updateBacklogItem(profileName, taskListId, taskId, (task, meta) => {
+    const until = count > 0 ? formatLocalDate(new Date(Date.now() + count * 86400000)) : null;
+    const { body } = parseTaskNotes(task.notes);
+    taskStore().patchTask(taskListId, taskId, { notes: buildTaskNotes(body, { ...meta, snoozedUntil: until }) });
+    return [until ? `😴 Snoozed until ${until}` : '⏰ Back in the backlog'];
+  });
+}
+
+// Runs a backlog action on one task under the sync lock.
+// action(task, meta, resetEvent) makes the change and returns the lines describing it.
+// Returns { taskId, changes } or { busy }.
+function updateBacklogItem(profileName, taskListId, taskId, action) {
+  const profile = selectSyncProfiles(profileName)[0];
+  if (!profile) throw new Error(profileNotFound(profileName).message);
+
+  return withSyncLock(() => {
+    const task = taskStore().getTask(taskListId, taskId);
+    const { meta } = parseTaskNotes(task.notes);
+    const resetEvent = () => {
+      if (!meta.eventId) return [];
+      const calendar = findProfileCalendar(profile);
+      const ev = calendar ? callWithRetry(() => getLinkedEvent(calendar, meta)) : null;
+      if (!ev) return ['⚠️ Linked event not found, calendar unchanged'];
+      if (normalizeColor(ev.getColor(), profile.defaultColorId) !== profile.unwatchedColorId) {
+        return ['📅 Event was already watched'];
+      }
+      callWithRetry(() => ev.setColor(profile.defaultColorId));
+      return ['🔁 Event reset to watched'];
+    };
+
+    const changes = action(task, meta, resetEvent);
+    logAction(`🎬 ${task.title}: ${changes.join(', ')}`);
+    return { taskId, changes };
+  });
+}
+
+// Open items of every profile (or just `profileName`) as a file to share or archive:
+// 'csv' (title, date, platform, age), 'md' (Markdown checklist) or 'ics' (an all-day event per item).
+// Snoozed items are included, they are still unwatched. Returns { filename, mimeType, content }.
+function exportBacklog(profileName, format) {
+  if (!BACKLOG_EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Export format must be one of ${BACKLOG_EXPORT_FORMATS.join(', ')}`);
+  }
+  const profiles = selectSyncProfiles(profileName);
+  if (profiles.length === 0) throw new Error(profileNotFound(profileName).message);
+
+  const backlogs = profiles.map(profile => getProfileBacklog(profile));
+  const failed = backlogs.find(backlog => backlog.error);
+  if (failed) throw new Error(`${failed.profileName}: ${errorMessage(failed.error)}`);
+
+  const today = formatLocalDate(new Date());
+  const filename = `backlog-${profileName ? profileSectionId(profileName) : 'all'}-${today}.${format}`;
+  if (format === 'csv') return { filename, mimeType: 'text/csv', content: backlogCsv(backlogs) };
+  if (format === 'md') return { filename, mimeType: 'text/markdown', content: backlogMarkdown(backlogs, today) };
+  return { filename, mimeType: 'text/calendar', content: backlogIcs(backlogs) };
+}
+
+// "🍿 Netflix", or '' when the event had no platform
+function exportPlatform(item) {
+  return item.platform ? `${item.icon} ${item.platform}`.trim() : '';
+}
+
+// A quoted CSV cell. Text that starts like a formula (=, +, -, @, tab, CR) gets a leading ' so spreadsheet
+// apps show it instead of running it. The pages include this function's source, so it's written to run in the browser too.
+function csvCell(value) {
+  const text = String(value);
+  return '"' + (/^[=+\-@\t\r]/.test(text) ? "'" + text : text).replace(/"/g, '""') + '"';
+}
+
+function backlogCsv(backlogs) {
+  const lines = [['Title', 'Date', 'Platform', 'Age', 'Profile'].map(csvCell).join(',')];
+  backlogs.forEach(backlog => backlog.items.forEach(item => {
+    lines.push([
+      stripTitleDate(item.title), item.due || '', exportPlatform(item), item.due ? backlogAge(item.due) : '', backlog.profileName
+    ].map(csvCell).join(','));
+  }));
+  // Byte order mark so spreadsheet apps read the emoji as UTF-8
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+function backlogMarkdown(backlogs, today) {
+  const escape = (text) => String(text).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+  const lines = [`# 🎬 Backlog (${today})`];
+  backlogs.forEach(backlog => {
+    lines.push('', `## ${escape(backlog.profileName)}`, '');
+    if (backlog.items.length === 0) lines.push('Nothing left to watch 🎉');
+    backlog.items.forEach(item => {
+      const details = [exportPlatform(item), item.due ? `${item.due} (${backlogAge(item.due)} ago)` : '']
+        .filter(Boolean)
+        .map(escape);
+      lines.push(`- [ ] **${escape(stripTitleDate(item.title))}**${details.length > 0 ? ` · ${details.join(' · ')}` : ''}`);
+    });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// Items without a date have no day to go on and are left out
+function backlogIcs(backlogs) {
+  const stamp = Utilities.formatDate(new Date(), 'UTC', "yyyyMMdd'T'HHmmss'Z'");
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//calendar_to_task//backlog//EN', 'X-WR-CALNAME:🎬 Backlog'];
+  backlogs.forEach(backlog => backlog.items.filter(item => item.due).forEach(item => {
+    const end = parseDate(item.due);
+    end.setDate(end.getDate() + 1);
+    const platform = exportPlatform(item);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${item.id}@calendar-to-task`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${item.due.replace(/-/g, '')}`,
+      `DTEND;VALUE=DATE:${Utilities.formatDate(end, SCRIPT_TIME_ZONE, 'yyyyMMdd')}`,
+      `SUMMARY:${escapeIcsText(stripTitleDate(item.title))}`,
+      ...(platform ? [`LOCATION:${escapeIcsText(platform)}`] : []),
+      `CATEGORIES:${escapeIcsText(backlog.profileName)}`,
+      `DESCRIPTION:${escapeIcsText(`Unwatched for ${backlogAge(item.due)}`)}`,
+      'END:VEVENT'
+    );
+  }));
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+// -----------------------------------------------------------------
+// Backlog Digest (email)
+// -----------------------------------------------------------------
+
+function getDigestTriggers() {
+  return ScriptApp.getProjectTriggers().filter(trigger =>
+    trigger.getHandlerFunction() === DIGEST_TRIGGER_HANDLER &&
+    trigger.getEventType() === ScriptApp.EventType.CLOCK
+  );
+}
+
+// { frequency, hour, recipient }; the recipient defaults to the account the script runs as
+function getDigestSettings() {
+  const stored = PropertiesService.getScriptProperties().getProperty(DIGEST_SETTINGS_PROPERTY);
+  return {
+    frequency: 'weekly',
+    hour: 8,
+    recipient: Session.getEffectiveUser().getEmail(),
+    ...(stored ? JSON.parse(stored) : {})
+  };
+}
+
+function getDigestStatus() {
+  const state = loadJsonProperty(DIGEST_STATE_PROPERTY);
+  return {
+    ...getDigestSettings(),
+    installed: getDigestTriggers().length,
+    frequencies: DIGEST_FREQUENCIES,
+    weekDay: DIGEST_WEEK_DAY,
+    lastSent: state ? state.sentAt : null
+  };
+}
+
+// Saves the digest settings and replaces any digest trigger with one matching them
+function installDigestTrigger(frequency, hour, recipient) {
+  if (!DIGEST_FREQUENCIES.includes(frequency)) {
+    throw new Error(`Frequency must be one of ${DIGEST_FREQUENCIES.join(', ')}`);
+  }
+  const atHour = parseInt(hour, 10);
+  if (!(atHour >= 0 && atHour <= 23)) throw new Error('Hour must be between 0 and 23');
+  const to = String(recipient || '').trim();
+  if (!/^[^@\s,]+@[^@\s,]+\.[^@\s,]+$/.test(to)) throw new Error(`Not a valid email address: "${to}"`);
+
+  getDigestTriggers().forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  const builder = ScriptApp.newTrigger(DIGEST_TRIGGER_HANDLER).timeBased().atHour(atHour);
+  (frequency === 'daily' ? builder.everyDays(1) : builder.onWeekDay(ScriptApp.WeekDay[DIGEST_WEEK_DAY])).create();
+  PropertiesService.getScriptProperties().setProperty(
+    DIGEST_SETTINGS_PROPERTY,
+    JSON.stringify({ frequency, hour: atHour, recipient: to })
+  );
+  logAction(`📬 Digest trigger installed: ${frequency} at ${atHour}:00 to ${to}`);
+  return getDigestStatus();
+}
+
+function removeDigestTriggers() {
+  getDigestTriggers().forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  logAction('📬 Digest trigger removed');
+  return getDigestStatus();
+}
+
+// Emails the backlog of every profile: items added and cleared since the last digest, the oldest
+// open items and totals per platform. Called by the digest trigger, or "Send now" on ⚙️ Settings.
+function sendBacklogDigest() {
+  const settings = getDigestSettings();
+  const previous = loadJsonProperty(DIGEST_STATE_PROPERTY);
+  const sentAt = new Date().toISOString();
+  const state = { sentAt, profiles: previous ? { ...previous.profiles } : {} };
+  const totals = { open: 0, added: 0, cleared: 0 };
+
+  const sections = getSyncProfiles().map(profile => {
+    const backlog = getProfileBacklog(profile);
+    // A profile that can't be read keeps its previous items, so nothing shows up as cleared
+    if (backlog.error) return generateProfileError(profile.name, backlog.error);
+
+    const previousItems = previous ? previous.profiles[profile.name] : null;
+    const digest = buildDigest(backlog.items, previousItems);
+    state.profiles[profile.name] = backlog.items.map(({ id, title, icon }) => ({ id, title, icon }));
+    totals.open += backlog.items.length;
+    totals.added += digest.added.length;
+    totals.cleared += digest.cleared.length;
+    return generateDigestSection(profile.name, digest, previous ? previous.sentAt : null);
+  });
+
+  const subject = `📬 Media backlog: ${totals.open} open, ${totals.added} added, ${totals.cleared} cleared`;
+  MailApp.sendEmail({ to: settings.recipient, subject, htmlBody: generateDigestHtml(sections, sentAt) });
+  saveJsonProperty(DIGEST_STATE_PROPERTY, state);
+  logAction(`📬 Digest sent to ${settings.recipient} — ${subject}`);
+  return getDigestStatus();
+}
+
+// Compares the open items with the ones listed in the last digest (null before the first one)
+function buildDigest(items, previousItems) {
+  const openIds = new Set(items.map(item => item.id));
+  const previousIds = new Set((previousItems || []).map(item => item.id));
+  const platforms = new Map();
+  for (const item of items) {
+    const label = platformLabel(item.platform);
+    platforms.set(label, (platforms.get(label) || 0) + 1);
+  }
+  return {
+    items,
+    added: previousItems ? items.filter(item => !previousIds.has(item.id)) : [],
+    cleared: (previousItems || []).filter(item => !openIds.has(item.id)),
+    // Backlog items are sorted by due date, so the oldest come first
+    oldest: items.filter(item => item.due && !isSnoozed(item)).slice(0, DIGEST_OLDEST_COUNT),
+    platforms: Array.from(platforms, ([platform, count]) => ({ platform, count }))
+      .sort((a, b) => b.count - a.count || a.platform.localeCompare(b.platform))
+  };
+}
+
+// Whole days since an item's event date (yyyy-MM-dd), counted to today's date in the script time zone
+// (the event date already is a date there, see taskDueDate)
+function backlogAge(due) {
+  const today = formatLocalDate(new Date());
+  const days = Math.round((Date.parse(`${today}T00:00:00Z`) - Date.parse(`${due}T00:00:00Z`)) / 86400000);
+  return days === 1 ? '1 day' : `${Math.max(days, 0)} days`;
+}
+
+function generateDigestSection(profileName, digest, since) {
+  const idPrefix = `${profileSectionId(profileName)}-`;
+  const label = item => `${item.icon} ${item.title}`;
+  const summary = `📬 Open: ${digest.items.length}, Added: ${digest.added.length}, Cleared: ${digest.cleared.length}` +
+    (since ? `<br>🕘 Since ${formatLocalDate(new Date(since))}` : '<br>🆕 First digest, changes are listed from the next one');
+  const table = (id, title, rows, columns, emptyText) => {
+    const header = generatePhaseHeader(`${idPrefix}${id}`, title, rows.length);
+    const content = rows.length > 0
+      ? `
+        <table class="data-table">
+          <thead>
+            <tr>${columns.map(col => `<th>${escapeHtml(col.title)}</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            ${generateTableRows(rows, columns)}
+          </tbody>
+        </table>`
+      : `<div class="empty-phase">${emptyText}</div>`;
+    return `${header}${content}
+      </div>
+    </div>`;
+  };
+
+  return [
+    `<h3 class="profile-title">🗂️ ${escapeHtml(profileName)}</h3>`,
+    `<div class="summary">${summary}</div>`,
+    table('added', 'ADDED ➕', digest.added.map(item => ({ item: label(item), due: item.due || '—' })),
+      [{ key: 'item', title: 'Item' }, { key: 'due', title: 'Date' }], 'Nothing new since the last digest'),
+    table('cleared', 'CLEARED ✅', digest.cleared.map(item => ({ item: label(item) })),
+      [{ key: 'item', title: 'Item' }], 'Nothing cleared since the last digest'),
+    table('oldest', 'OLDEST UNWATCHED ⏳',
+      digest.oldest.map(item => ({ item: label(item), due: item.due, age: backlogAge(item.due) })),
+      [{ key: 'item', title: 'Item' }, { key: 'due', title: 'Date' }, { key: 'age', title: 'Waiting' }],
+      'The backlog is empty'),
+    table('platforms', 'BY PLATFORM 🏷️', digest.platforms,
+      [{ key: 'platform', title: 'Platform' }, { key: 'count', title: 'Items' }], 'The backlog is empty')
+  ].join('');
+}
+
+// Email clients ignore CSS variables, so the report styles get the default (Ocean, light) colors inlined
+const DIGEST_EMAIL_COLORS = {
+  '--bg-primary': '#ffffff',
+  '--bg-secondary': '#f8fafc',
+  '--text-primary': '#1e293b',
+  '--text-secondary': '#64748b',
+  '--accent-primary': '#0ea5e9',
+  '--accent-secondary': '#0284c7',
+  '--accent-light': '#e0f2fe',
+  '--border-color': '#e2e8f0',
+  '--shadow': 'rgba(0, 0, 0, 0.1)',
+  '--table-hover': '#f1f5f9',
+  '--table-stripe': '#f8fafc'
+};
+
+function generateDigestHtml(sections, sentAt) {
+  const styles = getReportStyles().replace(/var\((--[\w-]+)\)/g, (match, name) => DIGEST_EMAIL_COLORS[name] || match);
+  const url = ScriptApp.getService().getUrl();
+  return `<html>
+    <head>
+      <meta charset="utf-8">
+      <style>
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          max-width: 900px;
+          margin: auto;
+          color: ${DIGEST_EMAIL_COLORS['--text-primary']};
+        }
+        ${styles}
+      </style>
+    </head>
+    <body>
+      <h2>📬 Media Backlog Digest</h2>
+      ${sections.join('')}
+      <p style="margin-top: 2em; color: ${DIGEST_EMAIL_COLORS['--text-secondary']};">
+        Sent ${Utilities.formatDate(new Date(sentAt), SCRIPT_TIME_ZONE, 'yyyy-MM-dd HH:mm')}${url ? ` · <a href="${url}">Open the web app</a>` : ''}
+      </p>
+    </body>
+  </html>`;
+}
+
+// -----------------------------------------------------------------
+// JSON API (doGet/doPost with ?action=)
+// -----------------------------------------------------------------
+
+// Set the API_TOKEN script property to require `token` on every API request. It only guards ?action=
+// requests: the pages' google.script.run calls don't check it, so the app must never be deployed for "Anyone".
+const API_TOKEN_PROPERTY = 'API_TOKEN';
+const API_ACTIONS = ['sync', 'preview', 'status', 'backlog', 'export'];
+// Actions that change data: POST only (a link or prefetched URL can't run them), and only once a token is set
+const API_MUTATING_ACTIONS = ['sync'];
+
+// Every response is { ok: true, ... } or { ok: false, error: { message } }; Apps Script
+// web apps can't set an HTTP status, so callers check `ok`. `method` is 'GET' (doGet) or 'POST' (doPost).
+function handleApiRequest(params, method) {
+  try {
+    const token = PropertiesService.getScriptProperties().getProperty(API_TOKEN_PROPERTY);
+    if (token && params.token !== token) throw new Error('Missing or wrong API token');
+
+    const action = params.action;
+    if (!API_ACTIONS.includes(action)) {
+      throw new Error(`Unknown action "${action}" (use one of ${API_ACTIONS.join(', ')})`);
+    }
+    if (API_MUTATING_ACTIONS.includes(action)) {
+      if (method !== 'POST') throw new Error(`Action "${action}" changes data, send it as a POST request`);
+      if (!token) throw new Error(`Action "${action}" needs the ${API_TOKEN_PROPERTY} script property to be set`);
+    }
+    // The export is a file download in the requested format; everything else answers in JSON
+    if (action === 'export') return fileResponse(exportBacklog(params.profile, params.format));
+    if (params.format && params.format !== 'json') throw new Error(`Unsupported format: ${params.format}`);
+    if (action === 'status') return jsonResponse({ ok: true, status: getSyncStatus() });
+
+    const profiles = selectSyncProfiles(params.profile);
+    if (profiles.length === 0) return jsonResponse({ ok: false, error: profileNotFound(params.profile) });
+
+    if (action === 'backlog') {
+      return jsonResponse({ ok: true, backlog: profiles.map(profile => getProfileBacklog(profile)) });
+    }
+
+    if (action === 'preview') {
+      const previews = buildPreviews(params.startDate, params.endDate, profiles, params.mode);
+      return jsonResponse({
+        ok: true,
+        profiles: previews.map(({ profile, plan, counts, error }) => error
+          ? { profileName: profile.name, error }
+          : {
+              profileName: profile.name,
+              startDate: plan.startDate,
+              endDate: plan.endDate,
+              incremental: plan.incremental,
+              counts,
+              phase1: plan.phase1.map(entry => entry.row),
+              phase2: plan.phase2.map(entry => entry.row),
+              duplicates: plan.duplicates,
+              warnings: plan.warnings
+            })
+      });
+    }
+
+    const run = runSync(params.startDate, params.endDate, profiles, params.mode, 'api');
+    if (run.busy) return jsonResponse({ ok: false, busy: true, error: { message: run.busy } });
+    return jsonResponse({
+      ok: true,
+      profiles: run.results.map(result => result.error
+        ? { profileName: result.profileName, error: result.error }
+        : {
+            profileName: result.profileName,
+            startDate: result.startDate,
+            endDate: result.endDate,
+            summary: result.summary,
+            counts: result.counts,
+            phase1: result.phase1Data,
+            phase2: result.phase2Data,
+            duplicates: result.duplicateData || [],
+            failures: (result.failures || []).map(({ item, action, error }) => ({ item, action, error })),
+            warnings: result.warnings || []
+          })
+    });
+  } catch (e) {
+    logAction(`⚠️ API request failed: ${e.message}`);
+    return jsonResponse({ ok: false, error: { message: e.message } });
+  }
+}
+
+function jsonResponse(data) {
+  return ContentService.createTextOutput(JSON.stringify(data)).setMimeType(ContentService.MimeType.JSON);
+}
+
+// ContentService has no Markdown type, so .md files are sent as plain text
+function fileResponse(file) {
+  const types = { 'text/csv': ContentService.MimeType.CSV, 'text/calendar': ContentService.MimeType.ICAL };
+  return ContentService.createTextOutput(file.content)
+    .setMimeType(types[file.mimeType] || ContentService.MimeType.TEXT)
+    .downloadAsFile(file.filename);
+}
+
+// Whether a run is in progress, the last saved run and the schedule
+function getSyncStatus() {
+  const runningSince = PropertiesService.getScriptProperties().getProperty(SYNC_RUNNING_SINCE_PROPERTY);
+  return {
+    running: !!runningSince,
+    runningSince,
+    profiles: getSyncProfiles().map(profile => profile.name),
+    incrementalSync: isIncrementalSyncEnabled(),
+    lastRun: getSyncHistory()[0] || null,
+    schedule: getTriggerStatus()
+  };
+}
+
+// Open tasks of a profile, oldest due date first, including tasks routed to other lists by platform rules
+function getProfileBacklog(profile) {
+  let calendar;
+  try {
+    calendar = getProfileCalendar(profile);
+  } catch (e) {
+    return { profileName: profile.name, error: feedUnavailable(profile, e.message) };
+  }
+  const taskList = getTaskListByName(profile.taskListName);
+  if (!calendar) return { profileName: profile.name, error: calendarNotFound(profile) };
+  if (!taskList) return { profileName: profile.name, error: taskListNotFound(profile) };
+
+  const toItem = (task, taskListName) => {
+    const { body, meta } = parseTaskNotes(task.notes);
+    const platform = parsePlatform(body);
+    return {
+      id: task.id,
+      title: task.title,
+      due: task.due ? task.due.slice(0, 10) : null,
+      platform,
+      icon: platformIcon(platform),
+      taskListName,
+      taskListId: task.taskListId,
+      linked: !!meta.eventId,
+      snoozedUntil: meta.snoozedUntil || null,
+      metadata: taskMetadata(meta)
+    };
+  };
+
+  let items = listAllTasks(taskList.id)
+    .filter(t => t.status !== 'completed')
+    .map(t => toItem({ ...t, taskListId: taskList.id }, taskList.title));
+  for (const [listName, listId] of resolveRoutedTaskLists(taskList)) {
+    // Routed lists can be shared, so only tasks linked to this profile's calendar count
+    const routed = listAllTasks(listId).filter(t => {
+      const { meta } = parseTaskNotes(t.notes);
+      return t.status !== 'completed' && meta.eventId && getLinkedEvent(calendar, meta);
+    });
+    items = items.concat(routed.map(t => toItem({ ...t, taskListId: listId }, listName)));
+  }
+
+  items.sort((a, b) => (a.due || '9999').localeCompare(b.due || '9999') || a.title.localeCompare(b.title));
+  return { profileName: profile.name, taskListName: taskList.title, items };
+}
+
+// -----------------------------------------------------------------
+// Platform Rules
+// -----------------------------------------------------------------
+
+// Rules are tried top to bottom and the first match wins, so the array order is the priority.
+// `taskListName` (optional) sends new tasks for that platform to another list.
+const PLATFORM_MATCH_TYPES = ['exact', 'substring', 'regex'];
+const DEFAULT_PLATFORM_RULES = [
+  { name: 'Netflix', icon: '🍿', match: 'substring', pattern: 'netflix', taskListName: '' },
+  { name: 'Prime Video', icon: '📦', match: 'regex', pattern: 'prime|amazon', taskListName: '' },
+  { name: 'Disney+', icon: '🪄', match: 'substring', pattern: 'disney', taskListName: '' },
+  { name: 'Hulu', icon: '💚', match: 'substring', pattern: 'hulu', taskListName: '' },
+  { name: 'Max', icon: '🎥', match: 'regex', pattern: '\\b(hbo|max)\\b', taskListName: '' },
+  { name: 'Apple TV+', icon: '🍎', match: 'substring', pattern: 'apple', taskListName: '' },
+  { name: 'Peacock', icon: '🦚', match: 'substring', pattern: 'peacock', taskListName: '' },
+  { name: 'Paramount+', icon: '🌄', match: 'substring', pattern: 'paramount', taskListName: '' },
+  { name: 'Starz', icon: '⭐', match: 'substring', pattern: 'starz', taskListName: '' },
+  { name: 'YouTube', icon: '▶️', match: 'substring', pattern: 'youtube', taskListName: '' },
+  { name: 'Game Pass', icon: '🎮', match: 'regex', pattern: 'game pass|xbox', taskListName: '' }
+];
+
+// Patterns are user input and run against every location, so they're kept short
+const PLATFORM_PATTERN_MAX_LENGTH = 200;
+
+// Rules are read once per execution; platformIcon() runs for every task
+let platformRulesCache = null;
+// Regex patterns compiled by cleanPlatformRules, so matching doesn't build a RegExp per location
+const platformRegexCache = new Map();
+
+function getPlatformRules() {
+  if (!platformRulesCache) {
+    const stored = PropertiesService.getScriptProperties().getProperty(PLATFORM_RULES_PROPERTY);
+    // Rules saved before patterns were checked are skipped when they don't pass anymore
+    platformRulesCache = (stored ? JSON.parse(stored) : DEFAULT_PLATFORM_RULES).filter(rule => {
+      try {
+        cleanPlatformRules([rule]);
+        return true;
+      } catch (e) {
+        logAction(`⚠️ Skipping platform rule: ${e.message}`);
+        return false;
+      }
+    });
+  }
+  return platformRulesCache;
+}
+
+// Validates and stores the full list of rules (replaces whatever was saved before)
+function savePlatformRules(rules) {
+  const cleaned = cleanPlatformRules(rules);
+  PropertiesService.getScriptProperties().setProperty(PLATFORM_RULES_PROPERTY, JSON.stringify(cleaned));
+  platformRulesCache = cleaned;
+  return cleaned;
+}
+
+// Checks every rule and compiles the regex ones; throws one error listing every rule that's wrong
+function cleanPlatformRules(rules) {
+  if (!Array.isArray(rules)) throw new Error('Platform rules must be a list');
+
+  const problems = [];
+  const cleaned = rules.map(r => {
+    const rule = {
+      name: String(r.name || '').trim(),
+      icon: String(r.icon || '').trim(),
+      match: String(r.match || '').trim(),
+      pattern: String(r.pattern || '').trim(),
+      taskListName: String(r.taskListName || '').trim()
+    };
+    if (!rule.name || !rule.pattern) {
+      problems.push(`Platform rule "${rule.name}" needs a name and a pattern`);
+    } else if (!PLATFORM_MATCH_TYPES.includes(rule.match)) {
+      problems.push(`Platform "${rule.name}": match must be one of ${PLATFORM_MATCH_TYPES.join(', ')}`);
+    } else if (rule.pattern.length > PLATFORM_PATTERN_MAX_LENGTH) {
+      problems.push(`Platform "${rule.name}": the pattern is longer than ${PLATFORM_PATTERN_MAX_LENGTH} characters`);
+    } else if (rule.match === 'regex' && !platformRegexCache.has(rule.pattern)) {
+      if (hasNestedRepetition(rule.pattern)) {
+        problems.push(`Platform "${rule.name}": the regex repeats a group that repeats or has alternatives, ` +
+          'which can take forever on some locations');
+      } else {
+        try {
+          platformRegexCache.set(rule.pattern, new RegExp(rule.pattern, 'i'));
+        } catch (e) {
+          problems.push(`Platform "${rule.name}": invalid regex: ${e.message}`);
+        }
+      }
+    }
+    return rule;
+  });
+  if (problems.length > 0) throw new Error(problems.join('; '));
+  return cleaned;
+}
+
+// Whether a regex repeats a group that itself repeats or has alternatives, like (a+)+ or (a|ab)*.
+// Those can backtrack exponentially on a location that almost matches.
+function hasNestedRepetition(pattern) {
+  const groups = [];   // per open group: whether it holds a repeat or an alternative
+  let afterRiskyGroup = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    const repeatsRiskyGroup = afterRiskyGroup;
+    afterRiskyGroup = false;
+    if (c === '\\') {
+      i++;
+    } else if (c === '[') {
+      // Character classes hold no groups or quantifiers
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (c === '(') {
+      groups.push(false);
+    } else if (c === ')') {
+      const risky = groups.pop();
+      if (groups.length > 0) groups[groups.length - 1] = groups[groups.length - 1] || risky;
+      afterRiskyGroup = !!risky;
+    } else if (c === '*' || c === '+' || c === '{') {
+      if (repeatsRiskyGroup) return true;
+      if (groups.length > 0) groups[groups.length - 1] = true;
+    } else if (c === '|' && groups.length > 0) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+// First rule matching `location` (case-insensitive), or null
+function matchPlatformRule(location, rules = getPlatformRules()) {
+  if (!location) return null;
+  const text = location.trim().toLowerCase();
+  return rules.find(rule => {
+    if (rule.match === 'exact') return text === rule.pattern.toLowerCase();
+    if (rule.match === 'regex') {
+      if (!platformRegexCache.has(rule.pattern)) cleanPlatformRules([rule]);
+      return platformRegexCache.get(rule.pattern).test(location);
+    }
+    return text.includes(rule.pattern.toLowerCase());
+  }) || null;
+}
+
+// "Test a location" helper on the settings page; runs against the rules being edited, not the saved ones
+function testPlatformRules(location, rules) {
+  const cleaned = cleanPlatformRules(rules);
+  const rule = matchPlatformRule(location, cleaned);
+  return rule ? { index: cleaned.indexOf(rule), rule } : null;
+}
+
+// Task lists that platform rules send new tasks to, other than the profile's own list.
+// Missing lists are skipped and added to `warnings` when given.
+function resolveRoutedTaskLists(profileTaskList, warnings) {
+  const lists = new Map();
+  for (const rule of getPlatformRules()) {
+    const name = rule.taskListName;
+    if (!name || name === profileTaskList.title || lists.has(name)) continue;
+    const list = getTaskListByName(name);
+    if (list) {
+      lists.set(name, list.id);
+    } else {
+      const message = `Task list "${name}" not found, its tasks stay in "${profileTaskList.title}"`;
+      logAction(`⚠️ ${rule.name}: ${message}`);
+      if (warnings) warnings.push({ item: rule.name, action: '🧭 Route tasks', message });
+    }
+  }
+  return lists;
+}
+
+// -----------------------------------------------------------------
+// Settings (web app ⚙️ Settings page)
+// -----------------------------------------------------------------
+
+// Google Calendar's 11 event colors, by CalendarApp.EventColor ID
+const EVENT_COLORS = [
+  { id: '1', name: 'Lavender', hex: '#7986cb' },
+  { id: '2', name: 'Sage', hex: '#33b679' },
+  { id: '3', name: 'Grape', hex: '#8e24aa' },
+  { id: '4', name: 'Flamingo', hex: '#e67c73' },
+  { id: '5', name: 'Banana', hex: '#f6bf26' },
+  { id: '6', name: 'Tangerine', hex: '#f4511e' },
+  { id: '7', name: 'Peacock', hex: '#039be5' },
+  { id: '8', name: 'Graphite', hex: '#616161' },
+  { id: '9', name: 'Blueberry', hex: '#3f51b5' },
+  { id: '10', name: 'Basil', hex: '#0b8043' },
+  { id: '11', name: 'Tomato', hex: '#d50000' }
+];
+
+// Everything the settings page needs, read live from Calendar and Tasks
+function getSettingsData() {
+  return {
+    profiles: getSyncProfiles(),
+    general: {
+      historyLimit: getSyncHistoryLimit(),
+      incrementalSync: isIncrementalSyncEnabled(),
+      taskOrder: getTaskOrder(),
+      duplicatePolicy: getDuplicatePolicy()
+    },
+    calendars: calendarAdapter().getAllCalendars().map(cal => cal.getName()),
+    taskLists: listTaskListTitles(),
+    colors: EVENT_COLORS,
+    platformRules: getPlatformRules(),
+    platformMatchTypes: PLATFORM_MATCH_TYPES
+  };
+}
+
+// Saves profiles from the settings page after checking the calendars and task lists still exist
+function saveSettings(profiles, general, platformRules) {
+  // Everything is checked before anything is written, so a bad profile doesn't leave new platform rules behind
+  const cleanedProfiles = cleanSyncProfiles(profiles);
+  const cleanedRules = platformRules ? cleanPlatformRules(platformRules) : null;
+  const calendars = new Set(calendarAdapter().getAllCalendars().map(cal => cal.getName()));
+  const taskLists = new Set(listTaskListTitles());
+  for (const p of cleanedProfiles) {
+    if (!isFeedProfile(p) && !calendars.has(p.calendarName)) {
+      throw new Error(`Profile "${p.name}": calendar "${p.calendarName}" not found`);
+    }
+    if (!taskLists.has(p.taskListName)) {
+      throw new Error(`Profile "${p.name}": task list "${p.taskListName}" not found`);
+    }
+  }
+
+  for (const rule of cleanedRules || []) {
+    if (rule.taskListName && !taskLists.has(rule.taskListName)) {
+      throw new Error(`Platform "${rule.name}": task list "${rule.taskListName}" not found`);
+    }
+  }
+
+  const historyLimit = parseInt(general && general.historyLimit, 10);
+  if (!(historyLimit >= 1 && historyLimit <= 100)) {
+    throw new Error('History size must be between 1 and 100 runs');
+  }
+  const taskOrder = general.taskOrder || 'none';
+  if (!TASK_ORDERS.includes(taskOrder)) {
+    throw new Error(`Task order must be one of ${TASK_ORDERS.join(', ')}`);
+  }
+  const duplicatePolicy = general.duplicatePolicy || 'separate';
+  if (!DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+    throw new Error(`Duplicate policy must be one of ${DUPLICATE_POLICIES.join(', ')}`);
+  }
+  if (general.incrementalSync && !isIncrementalSyncAvailable()) {
+    throw new Error('Incremental sync needs the Calendar advanced service (Services → Google Calendar API)');
+  }
+
+  if (cleanedRules) savePlatformRules(cleanedRules);
+  const saved = saveSyncProfiles(cleanedProfiles);
+  const props = PropertiesService.getScriptProperties();
+  props.setProperty(SYNC_HISTORY_LIMIT_PROPERTY, String(historyLimit));
+  props.setProperty(INCREMENTAL_SYNC_PROPERTY, String(!!general.incrementalSync));
+  props.setProperty(TASK_ORDER_PROPERTY, taskOrder);
+  props.setProperty(DUPLICATE_POLICY_PROPERTY, duplicatePolicy);
+  return saved;
+}
+
+function getTaskOrder() {
+  const stored = PropertiesService.getScriptProperties().getProperty(TASK_ORDER_PROPERTY);
+  return TASK_ORDERS.includes(stored) ? stored : 'none';
+}
+
+function getDuplicatePolicy() {
+  const stored = PropertiesService.getScriptProperties().getProperty(DUPLICATE_POLICY_PROPERTY);
+  return DUPLICATE_POLICIES.includes(stored) ? stored : 'separate';
+}
+
+function listTaskListTitles() {
+  return taskStore().listTaskLists().map(list => list.title);
+}
+
+function isValidColorId(colorId) {
+  return /^([1-9]|1[01])$/.test(colorId);
+}
+
+function profileSectionId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+}
+
+// -----------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------
+
+// Parse a 'yyyy-MM-dd' string (or Date) in local timezone (avoid UTC conversion)
+// Returns null if parsing fails
+function parseDate(dateInput) {
+  if (!dateInput) return null;
+  
+  // If already a Date object, check if valid
+  if (dateInput instanceof Date) {
+    return isNaN(dateInput.getTime()) ? null : dateInput;
+  }
+  
+  // If string with date format, parse it
+  if (typeof dateInput === 'string' && dateInput.includes('-')) {
+    const parts = dateInput.split('-');
+    if (parts.length === 3) {
+      const parsed = new Date(parseInt(parts[0]), parseInt(parts[1]) - 1, parseInt(parts[2]));
+      return isNaN(parsed.getTime()) ? null : parsed;
+    }
+  }
+  
+  return null;
+}
+
+function formatLocalDate(date) {
+  return Utilities.formatDate(date, SCRIPT_TIME_ZONE, 'yyyy-MM-dd');
+}
+
+// Script properties cap each value at 9 KB, so JSON is split across `<key>_0`, `<key>_1`, ...
+// with the chunk count stored under `<key>`. Chunks are sized in characters with room for multi-byte text.
+const PROPERTY_CHUNK_SIZE = 2000;
+
+function saveJsonProperty(key, value) {
+  const json = JSON.stringify(value);
+  const count = Math.max(1, Math.ceil(json.length / PROPERTY_CHUNK_SIZE));
+  const values = { [key]: String(count) };
+  for (let i = 0; i < count; i++) {
+    values[`${key}_${i}`] = json.slice(i * PROPERTY_CHUNK_SIZE, (i + 1) * PROPERTY_CHUNK_SIZE);
+  }
+  deleteJsonProperty(key);
+  PropertiesService.getScriptProperties().setProperties(values);
+}
+
+function loadJsonProperty(key) {
+  const props = PropertiesService.getScriptProperties();
+  const count = parseInt(props.getProperty(key), 10);
+  if (!count) return null;
+
+  let json = '';
+  for (let i = 0; i < count; i++) {
+    json += props.getProperty(`${key}_${i}`) || '';
+  }
+  return JSON.parse(json);
+}
+
+function deleteJsonProperty(key) {
+  const props = PropertiesService.getScriptProperties();
+  const count = parseInt(props.getProperty(key), 10) || 0;
+  for (let i = 0; i < count; i++) {
+    props.deleteProperty(`${key}_${i}`);
+  }
+  props.deleteProperty(key);
+}
+
+function getCalendarByName(name) {
+  return calendarAdapter().getCalendarByName(name);
+}
+
+// The calendar a profile syncs: its Google calendar, or its ICS feed (throws if the feed can't be loaded)
+function getProfileCalendar(profile) {
+  return profile.feedUrl ? getFeedCalendar(profile) : getCalendarByName(profile.calendarName);
+}
+
+// Like getProfileCalendar, but a feed that can't be loaded gives null; changes to its events then fail one by one
+function findProfileCalendar(profile) {
+  try {
+    return getProfileCalendar(profile);
+  } catch (e) {
+    logAction(`⚠️ Feed not loaded for ${profile.name}: ${e.message}`);
+    return null;
+  }
+}
+
+function getTaskListByName(name) {
+  return taskStore().listTaskLists().find(list => list.title === name) || null;
+}
+
+function listAllTasks(taskListId) {
+  return taskStore().listTasks(taskListId, {});
+}
+
+// Unified logging helper
+function logAction(msg, actions, isHeader = false) {
+  let logMsg = msg;
+  let htmlMsg = msg;
+
+  if (isHeader) {
+    const line = "====================";
+    logMsg = `${line} ${msg} ${line}`;
+    htmlMsg = `<div class="phase">${msg}</div>`;
+  }
+
+  Logger.log(logMsg);
+
+  if (actions) {
+    actions.push(isHeader ? htmlMsg : msg);
+  }
+}
+
+function ifNoChange(phaseChanges, actions) {
+  if (phaseChanges === 0) {
+    logAction("No changes in this phase", actions);
+  }
+}
+
+// Task title without the "(MM/dd/yyyy)" the sync appends
+function stripTitleDate(title) {
+  return title.replace(/\s*\(\d{2}\/\d{2}\/\d{4}\)$/, '');
+}
+
+function buildTaskTitle(ev) {
+  const tz = Session.getScriptTimeZone();
+  const eventDate = Utilities.formatDate(ev.getStartTime(), SCRIPT_TIME_ZONE, 'MM/dd/yyyy');
+  return `${ev.getTitle()} (${eventDate})`;
+}
+
+// Google Tasks only keeps the date part of `due`, always as midnight UTC
+function taskDueDate(ev) {
+  return `${Utilities.formatDate(ev.getStartTime(), SCRIPT_TIME_ZONE, 'yyyy-MM-dd')}T00:00:00.000Z`;
+}
+
+// Lines the sync adds under "On: ..." in task notes: duration, link to the event, description.
+// Events of non-Google calendars (ICS files) bring their own link with getEventUrl.
+function eventDetailLines(ev, calendarId) {
+  const lines = [];
+  const duration = formatDuration(ev);
+  if (duration) lines.push(`⏱️ ${duration}`);
+  lines.push(`📅 ${ev.getEventUrl ? ev.getEventUrl() : eventUrl(ev, calendarId)}`);
+  const description = (ev.getDescription() || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .trim();
+  if (description) {
+    lines.push('', description.length > NOTES_DESCRIPTION_LIMIT
+      ? `${description.slice(0, NOTES_DESCRIPTION_LIMIT)}…`
+      : description);
+  }
+  return lines;
+}
+
+// Appends the event details to a notes body that doesn't have them yet; the body itself is the user's
+function withEventDetails(body, details) {
+  if (hasEventDetails(body)) return body;
+  return [body, ...details].filter((line, i) => i > 0 || line).join('\n');
+}
+
+function hasEventDetails(body) {
+  return /calendar\/event\?eid=|^📅 /m.test(body || '');
+}
+
+function formatDuration(ev) {
+  const minutes = Math.round((ev.getEndTime() - ev.getStartTime()) / 60000);
+  if (!(minutes > 0)) return '';
+  if (ev.isAllDayEvent()) {
+    const days = Math.round(minutes / (24 * 60));
+    return days > 1 ? `${days} days` : 'All day';
+  }
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return [hours ? `${hours}h` : '', rest ? `${rest}m` : ''].filter(Boolean).join(' ');
+}
+
+// Google Calendar link: `eid` is the base64 of "<event ID> <calendar ID>", where recurring
+// occurrences add their start time to the ID
+function eventUrl(ev, calendarId) {
+  let eventId = ev.getId().replace(/@google\.com$/, '');
+  if (ev.isRecurringEvent()) {
+    const format = ev.isAllDayEvent() ? 'yyyyMMdd' : "yyyyMMdd'T'HHmmss'Z'";
+    eventId += `_${Utilities.formatDate(ev.getStartTime(), 'UTC', format)}`;
+  }
+  const eid = Utilities.base64EncodeWebSafe(`${eventId} ${calendarId}`).replace(/=+$/, '');
+  return `https://www.google.com/calendar/event?eid=${eid}`;
+}
+
+// Moves open top-level tasks into event date or platform order; returns how many were moved.
+// Only tasks out of place are moved, so an ordered list costs a single listing.
+function orderTasks(taskListId, order) {
+  const current = listAllTasks(taskListId)
+    .filter(t => t.status !== 'completed' && !t.parent)
+    .sort((a, b) => (a.position || '').localeCompare(b.position || ''));
+
+  // Tasks without a due date or platform go last; ties keep their title order
+  const dueOf = (t) => (t.due || '9999').slice(0, 10);
+  const platformOf = (t) => parsePlatform(parseTaskNotes(t.notes).body).toLowerCase() || '\uffff';
+  const compare = (a, b) =>
+    (order === 'platform' ? platformOf(a).localeCompare(platformOf(b)) : 0) ||
+    dueOf(a).localeCompare(dueOf(b)) ||
+    a.title.localeCompare(b.title);
+  const desired = current.slice().sort(compare);
+
+  let moved = 0;
+  desired.forEach((task, i) => {
+    if (current[i].id === task.id) return;
+    taskStore().moveTask(taskListId, task.id, i === 0 ? null : desired[i - 1].id);
+    current.splice(current.indexOf(task), 1);
+    current.splice(i, 0, task);
+    moved++;
+  });
+  return moved;
+}
+
+// Groups tasks by the event they point to (linked ID, resolved through `resolveLink` for merged
+// events) and, for unlinked tasks, by title where `groupsByTitle(title)` allows it; keeps one per group.
+// If any copy is completed the completed one is kept, so the user's "watched" isn't lost in the merge.
+function splitDuplicateTasks(tasks, groupsByTitle, resolveLink = key => key) {
+  const groups = new Map();
+  tasks.forEach(t => {
+    const { meta } = parseTaskNotes(t.notes);
+    const key = meta.eventId ? `link:${resolveLink(linkKey(meta))}`
+      : groupsByTitle(t.title) ? `title:${t.title}`
+      : `task:${t.id}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(t);
+  });
+
+  const unique = [];
+  const duplicates = [];
+  for (const group of groups.values()) {
+    const keep = group.find(t => t.status === 'completed') || group[0];
+    unique.push(keep);
+    group.filter(t => t !== keep).forEach(t => duplicates.push(t));
+  }
+  return { unique, duplicates };
+}
+
+// Tasks typed in by hand: no event link and no "(MM/dd/yyyy)" title from the sync. Any other task without
+// an event in this run still has one somewhere (outside the date range, unchanged in an incremental run)
+// or had one that was deleted, so two-way sync leaves it alone.
+function isManualTask(task) {
+  return !parseTaskNotes(task.notes).meta.eventId && stripTitleDate(task.title) === task.title;
+}
+
+// Day for the event created from an orphan task: its due date, else when it was added.
+// The Tasks API has no creation time, so the last update stands in for it.
+function orphanEventDate(task) {
+  if (task.due) return task.due.slice(0, 10);   // due dates are midnight UTC, the date part is the day
+  const added = task.updated ? new Date(task.updated) : new Date();
+  return Utilities.formatDate(added, SCRIPT_TIME_ZONE, 'yyyy-MM-dd');
+}
+
+// Platform named in free-text notes: an "On: 🍿 Netflix" line (as written by the sync),
+// otherwise the display name of the first platform rule matching a line
+function parsePlatform(body) {
+  const lines = (body || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const onLine = lines.find(line => /^On:/i.test(line));
+  if (onLine) {
+    const platform = onLine.replace(/^On:\s*/i, '').replace(/^[^\p{L}\p{N}]+/u, '').trim();
+    return platform === 'N/A' ? '' : platform;
+  }
+  const rule = lines.map(line => matchPlatformRule(line)).find(Boolean);
+  return rule ? rule.name : '';
+}
+
+// Everything needed to recreate a task after it is deleted
+function snapshotTask(task) {
+  return {
+    id: task.id, taskListId: task.taskListId, title: task.title, notes: task.notes || '', status: task.status, due: task.due
+  };
+}
+
+// Recurring instances share the series ID, so each occurrence is also identified by its start time
+function eventLink(ev) {
+  return {
+    eventId: ev.getId(),
+    occurrence: ev.isRecurringEvent() ? ev.getStartTime().toISOString() : undefined
+  };
+}
+
+function linkKey(link) {
+  return link.occurrence ? `${link.eventId}#${link.occurrence}` : link.eventId;
+}
+
+// Fetches the event (or the single occurrence of a series) a task is linked to
+function getLinkedEvent(calendar, link) {
+  if (!link.occurrence) return calendar.getEventById(link.eventId);
+
+  const start = new Date(link.occurrence);
+  if (isNaN(start.getTime())) return null;
+  const instances = calendar.getEvents(start, new Date(start.getTime() + 60 * 1000));
+  return instances.find(ev =>
+    ev.getId() === link.eventId && ev.getStartTime().getTime() === start.getTime()
+  ) || null;
+}
+
+// Report label for an event: recurring occurrences show the series name and the occurrence date
+function describeEvent(ev) {
+  if (!ev.isRecurringEvent()) return ev.getTitle();
+  const occurrenceDate = Utilities.formatDate(ev.getStartTime(), SCRIPT_TIME_ZONE, 'MM/dd/yyyy');
+  return `🔁 ${ev.getTitle()} · ${occurrenceDate}`;
+}
+
+// Notes = free text + footer of `key: value` lines (eventId, eventKey, ...) that the sync reads back
+function buildTaskNotes(body, meta) {
+  const lines = Object.entries(meta)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}: ${value}`);
+  if (lines.length === 0) return body;
+  return `${body}\n\n${NOTES_FOOTER_SEPARATOR}\n${lines.join('\n')}`;
+}
+
+function parseTaskNotes(notes) {
+  const text = notes || '';
+  const footerStart = text.lastIndexOf(NOTES_FOOTER_SEPARATOR);
+  if (footerStart === -1) return { body: text, meta: {} };
+
+  const meta = {};
+  text.slice(footerStart + NOTES_FOOTER_SEPARATOR.length).split('\n').forEach(line => {
+    const match = line.match(/^(\w+):\s*(.*)$/);
+    if (match) meta[match[1]] = match[2].trim();
+  });
+  return { body: text.slice(0, footerStart).trimEnd(), meta };
+}
+
+// Normalize color: treat "" as the calendar's default color
+function normalizeColor(color, defaultColorId = DEFAULT_COLOR_ID) {
+  return color === "" ? defaultColorId : color;
+}
+
+// Helper to build phase 2 report rows
+function buildPhase2Row(task, taskStatus, event, eventStatus) {
+  return {
+    task: task.title,
+    taskStatus,
+    event: event ? (typeof event === 'string' ? event : describeEvent(event)) : 'No Event',
+    eventStatus
+  };
+}
+
+function platformIcon(location) {
+  const rule = matchPlatformRule(location);
+  return rule ? rule.icon : '';
+}
+
+// "🍿 Netflix" for a known platform, otherwise the raw location
+function platformLabel(location) {
+  const rule = matchPlatformRule(location);
+  return rule ? `${rule.icon} ${rule.name}` : (location || 'N/A');
+}
+
+function generateHtmlReport(
+  summary, phase1Data, phase2Data, startDate, endDate, profileName, duplicateData, failures, warnings
+) {
+  const formatDate = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
     return year + '-' + month + '-' + day;
   };
   
   const dateRange = formatDate(startDate) + ' to ' + formatDate(endDate);
-  const parts = [
-    `<div class="summary">📅 Date Range: ${dateRange}<br>📊 ${summary}</div>`
-  ];
+  // Phase IDs must be unique when several profiles are rendered on one page
+  const idPrefix = profileName ? `${profileSectionId(profileName)}-` : '';
+  const parts = [];
+  if (profileName) parts.push(`<h3 class="profile-title">🗂️ ${escapeHtml(profileName)}</h3>`);
+  parts.push(`<div class="summary">📅 Date Range: ${dateRange}<br>📊 ${escapeHtml(summary)}</div>`);
   
   // Phase 1 Container
-  parts.push(generatePhaseHeader('phase1', 'PHASE 1️⃣: CREATE TASKS', phase1Data.length));
+  parts.push(generatePhaseHeader(`${idPrefix}phase1`, 'PHASE 1️⃣: CREATE TASKS', phase1Data.length));
   
   if (phase1Data.length > 0) {
     parts.push(`
@@ -345,12 +3497,14 @@ function generateHtmlReport(summary, phase1Data, phase2Data, startDate, endDate)
             <tr>
               <th>Unwatched Events in Calendar</th>
               <th style="width: 170px; text-align: left;">Task Action</th>
+              <th style="width: 220px;">Details</th>
             </tr>
           </thead>
           <tbody>
             ${generateTableRows(phase1Data, [
               { key: 'event' },
-              { key: 'status', style: 'text-align: left;' }
+              { key: 'status', style: 'text-align: left;' },
+              { key: 'details' }
             ])}
           </tbody>
         </table>`);
@@ -363,62 +3517,1483 @@ function generateHtmlReport(summary, phase1Data, phase2Data, startDate, endDate)
     </div>`);
   
   // Phase 2 Container
-  parts.push(generatePhaseHeader('phase2', 'PHASE 2️⃣: CLEANUP TASKS & RESET EVENTS', phase2Data.length));
+  parts.push(generatePhaseHeader(`${idPrefix}phase2`, 'PHASE 2️⃣: CLEANUP TASKS & RESET EVENTS', phase2Data.length));
+  
+  if (phase2Data.length > 0) {
+    parts.push(`
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Task Name</th>
+              <th style="width: 220px;">Task Action</th>
+              <th>Calendar Event</th>
+              <th style="width: 200px;">Event Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${generateTableRows(phase2Data, [
+              { key: 'task' },
+              { key: 'taskStatus' },
+              { key: 'event' },
+              { key: 'eventStatus' }
+            ])}
+          </tbody>
+        </table>`);
+  } else {
+    parts.push(`<div class="empty-phase">No tasks to cleanup or events to reset</div>`);
+  }
+  
+  parts.push(`
+      </div>
+    </div>`);
+
+  // Duplicates section, only when there are some
+  if (duplicateData && duplicateData.length > 0) {
+    parts.push(generatePhaseHeader(`${idPrefix}duplicates`, 'DUPLICATES ♊', duplicateData.length));
+    parts.push(`
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Title</th>
+              <th style="width: 120px;">Kind</th>
+              <th style="width: 80px;">Copies</th>
+              <th style="width: 200px;">Resolution</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${generateTableRows(duplicateData, [
+              { key: 'item' },
+              { key: 'kind' },
+              { key: 'count' },
+              { key: 'resolution' }
+            ])}
+          </tbody>
+        </table>
+      </div>
+    </div>`);
+  }
+
+  // Changes that still failed after retrying (retryFailedItems() can run them again),
+  // then warnings about things that were skipped
+  const issues = (failures || []).map(failure => ({
+    level: '❌ Failed', item: failure.item, action: failure.action, message: failure.error
+  })).concat((warnings || []).map(warning => ({ level: '⚠️ Warning', ...warning })));
+  if (issues.length > 0) {
+    parts.push(generatePhaseHeader(`${idPrefix}issues`, 'ERRORS & WARNINGS ⚠️', issues.length));
+    parts.push(`
+        <table class="data-table issues${failures && failures.length > 0 ? ' failed-items' : ''}">
+          <thead>
+            <tr>
+              <th style="width: 110px;">Level</th>
+              <th>Item</th>
+              <th style="width: 160px;">Change</th>
+              <th>Message</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${generateTableRows(issues, [
+              { key: 'level' },
+              { key: 'item' },
+              { key: 'action' },
+              { key: 'message' }
+            ])}
+          </tbody>
+        </table>
+      </div>
+    </div>`);
+  }
   
-  if (phase2Data.length > 0) {
+  return parts.join('');
+}
+
+function generateRollbackReport(run, rows) {
+  const ranAt = Utilities.formatDate(new Date(run.ranAt), SCRIPT_TIME_ZONE, 'yyyy-MM-dd HH:mm');
+  const failed = rows.filter(row => row.result !== '✅ Done').length;
+  const parts = [
+    `<div class="summary">↩️ Rolled back the ${run.source} run from ${ranAt}<br>` +
+    `📊 Reversed: ${rows.length - failed}, Failed: ${failed}</div>`
+  ];
+
+  parts.push(generatePhaseHeader('rollback', 'ROLLBACK ↩️', rows.length));
+  if (rows.length > 0) {
     parts.push(`
         <table class="data-table">
           <thead>
             <tr>
-              <th>Task Name</th>
-              <th style="width: 220px;">Task Action</th>
-              <th>Calendar Event</th>
-              <th style="width: 200px;">Event Status</th>
+              <th style="width: 120px;">Profile</th>
+              <th>Item</th>
+              <th style="width: 220px;">Action</th>
+              <th style="width: 160px;">Result</th>
             </tr>
           </thead>
           <tbody>
-            ${generateTableRows(phase2Data, [
-              { key: 'task' },
-              { key: 'taskStatus' },
-              { key: 'event' },
-              { key: 'eventStatus' }
+            ${generateTableRows(rows, [
+              { key: 'profile' },
+              { key: 'item' },
+              { key: 'action' },
+              { key: 'result' }
             ])}
           </tbody>
         </table>`);
   } else {
-    parts.push(`<div class="empty-phase">No tasks to cleanup or events to reset</div>`);
+    parts.push(`<div class="empty-phase">The run made no changes to reverse</div>`);
   }
-  
   parts.push(`
       </div>
     </div>`);
-  
+
   return parts.join('');
 }
 
-// Helper to generate phase header
-function generatePhaseHeader(phaseId, title, count) {
-  return `
-    <div class="phase-container" id="${phaseId}">
-      <div class="phase" onclick="togglePhase('${phaseId}')">
-        <span>${title}</span>
-        <span class="stats-badge">${count}</span>
-        <span class="phase-toggle">▼</span>
-      </div>
-      <div class="table-wrapper">`;
+// Helper to render a profile whose calendar or task list could not be loaded
+function generateProfileError(profileName, error) {
+  return `<h3 class="profile-title">🗂️ ${escapeHtml(profileName)}</h3>` +
+    `<div class="summary profile-error">${escapeHtml(errorMessage(error))}</div>`;
+}
+
+// Phase rows with their columns, sent to the web app next to the report HTML.
+// `id` matches the phase container in the HTML (and names exported files); `filterKey` is the column
+// offered as filter chips.
+function buildReportTables(profileName, phase1Data, phase2Data) {
+  const idPrefix = profileName ? `${profileSectionId(profileName)}-` : '';
+  return [
+    {
+      id: `${idPrefix}phase1`,
+      filterKey: 'status',
+      columns: [
+        { key: 'event', title: 'Unwatched Events in Calendar' },
+        { key: 'status', title: 'Task Action' },
+        { key: 'details', title: 'Details' }
+      ],
+      // Runs saved before metadata enrichment have no details
+      rows: phase1Data.map(row => ({ details: '', ...row }))
+    },
+    {
+      id: `${idPrefix}phase2`,
+      filterKey: 'taskStatus',
+      columns: [
+        { key: 'task', title: 'Task Name' },
+        { key: 'taskStatus', title: 'Task Action' },
+        { key: 'event', title: 'Calendar Event' },
+        { key: 'eventStatus', title: 'Event Status' }
+      ],
+      rows: phase2Data
+    }
+  ];
+}
+
+// Helper to generate phase header.
+// phaseId is built from profileSectionId(), which only keeps [a-z0-9-], so it is safe inside the onclick.
+function generatePhaseHeader(phaseId, title, count) {
+  return `
+    <div class="phase-container" id="${phaseId}">
+      <div class="phase" onclick="togglePhase('${phaseId}')">
+        <span>${escapeHtml(title)}</span>
+        <span class="stats-badge">${escapeHtml(count)}</span>
+        <span class="phase-toggle">▼</span>
+      </div>
+      <div class="table-wrapper">`;
+}
+
+// Helper to generate table rows efficiently
+// Cell values are escaped: titles, locations and notes come from calendars and task lists
+// that other people can edit
+function generateTableRows(data, columns) {
+  return data.map(row => 
+    `<tr>${columns.map(col => `<td${col.style ? ` style="${col.style}"` : ''}>${escapeHtml(row[col.key])}</td>`).join('')}</tr>`
+  ).join('');
+}
+
+// Text -> HTML (element content and quoted attribute values)
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Report layout (summary, phase cards, tables) shared by the web app pages and the digest email
+function getReportStyles() {
+  return `
+          .profile-title {
+            margin-top: 2em;
+            margin-bottom: 0;
+            color: var(--text-primary);
+            font-size: 1.3em;
+          }
+          
+          /* Summary styling */
+          .summary {
+            margin-top: 1em;
+            padding: 1em 1.2em;
+            background: var(--accent-light);
+            border: 2px solid var(--accent-primary);
+            border-radius: 10px;
+            font-weight: 600;
+            color: var(--accent-primary);
+            font-size: 1.1em;
+            box-shadow: 0 2px 6px var(--shadow);
+            line-height: 1.8;
+          }
+          
+          /* Phase container - card-like wrapper */
+          .phase-container {
+            margin-top: 2em;
+            background: var(--bg-secondary);
+            border: 1px solid var(--border-color);
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 4px 12px var(--shadow);
+            transition: transform 0.2s, box-shadow 0.2s;
+          }
+          
+          .phase-container:hover {
+            transform: translateY(-2px);
+            box-shadow: 0 6px 16px var(--shadow);
+          }
+          
+          /* Phase header styling */
+          .phase {
+            padding: 1em 1.2em;
+            background: linear-gradient(135deg, var(--accent-light), var(--bg-secondary));
+            border-bottom: 2px solid var(--accent-primary);
+            font-weight: 600;
+            color: var(--text-primary);
+            font-size: 1.1em;
+            display: flex;
+            align-items: center;
+            gap: 0.5em;
+            cursor: pointer;
+            user-select: none;
+          }
+          
+          .phase:hover {
+            background: var(--accent-light);
+          }
+          
+          .phase-toggle {
+            margin-left: auto;
+            transition: transform 0.3s;
+            font-size: 1.2em;
+          }
+          
+          .phase-container.collapsed .phase-toggle {
+            transform: rotate(-90deg);
+          }
+          
+          /* Table wrapper for padding */
+          .table-wrapper {
+            padding: 0;
+            max-height: 600px;
+            overflow-y: auto;
+            transition: max-height 0.3s ease-out;
+          }
+          
+          .phase-container.collapsed .table-wrapper {
+            max-height: 0;
+            overflow: hidden;
+          }
+          
+          /* Table styling */
+          .data-table {
+            width: 100%;
+            border-collapse: collapse;
+            background: var(--bg-primary);
+          }
+          
+          .data-table thead {
+            background: linear-gradient(135deg, var(--accent-secondary), var(--accent-primary));
+            color: white;
+          }
+          
+          .data-table th {
+            padding: 0.8em;
+            text-align: left;
+            font-weight: 600;
+            font-size: 0.95em;
+            text-transform: uppercase;
+            letter-spacing: 0.5px;
+          }
+          
+          .data-table td {
+            padding: 0.9em 1em;
+            border-bottom: 1px solid var(--border-color);
+            background: var(--bg-primary);
+            transition: background 0.15s;
+          }
+          
+          .data-table tbody tr:hover td {
+            background: var(--table-hover);
+          }
+          
+          .data-table tbody tr:nth-child(even) td {
+            background: var(--table-stripe);
+          }
+          
+          .data-table tbody tr:nth-child(even):hover td {
+            background: var(--table-hover);
+          }
+          
+          .data-table tbody tr:last-child td {
+            border-bottom: none;
+          }
+          
+          /* Empty state */
+          .empty-phase {
+            padding: 2em;
+            text-align: center;
+            color: var(--text-secondary);
+            font-style: italic;
+          }
+          
+          /* Stats badge */
+          .stats-badge {
+            background: var(--accent-primary);
+            color: white;
+            padding: 0.2em 0.6em;
+            border-radius: 12px;
+            font-size: 0.85em;
+            font-weight: 600;
+          }
+`;
+}
+// -----------------------------------------------------------------
+// Web App Wrappers
+// -----------------------------------------------------------------
+
+function doGet(e) {
+  const params = (e && e.parameter) || {};
+  if (params.action) return handleApiRequest(params, 'GET');
+  const page = params.page || 'sync';
+  if (page === 'settings') return renderSettingsPage();
+  if (page === 'history') return renderHistoryPage();
+  if (page === 'backlog') return renderBacklogPage();
+  return renderSyncPage();
+}
+
+function renderHistoryPage() {
+  const body = `
+        <h2>🕘 Sync History</h2>
+        <div id="status">Initializing…</div>
+        <button onclick="undoLastSync()">↩️ Undo last sync</button>
+        <div class="phase-container">
+          <div class="table-wrapper">
+            <table class="data-table">
+              <thead>
+                <tr>
+                  <th style="width: 180px;">Ran At</th>
+                  <th style="width: 110px;">Source</th>
+                  <th style="width: 200px;">Date Range</th>
+                  <th>Results</th>
+                  <th style="width: 80px;"></th>
+                </tr>
+              </thead>
+              <tbody id="runs"></tbody>
+            </table>
+          </div>
+        </div>
+        <div id="result"></div>`;
+
+  const script = `
+          function setStatus(text) {
+            document.getElementById('status').textContent = text;
+          }
+
+          function addCell(row, text) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+            return cell;
+          }
+
+          function loadHistory() {
+            setStatus('⏳ Loading history…');
+            google.script.run
+              .withSuccessHandler(function(runs) {
+                const tbody = document.getElementById('runs');
+                tbody.innerHTML = '';
+                runs.forEach(function(run) {
+                  const row = document.createElement('tr');
+                  addCell(row, new Date(run.ranAt).toLocaleString());
+                  addCell(row, run.source);
+                  addCell(row, run.startDate ? run.startDate + ' to ' + run.endDate : '—');
+                  addCell(row, (run.rolledBackAt ? '↩️ Rolled back · ' : '') +
+                    run.profiles.map(function(p) { return p.name + ': ' + p.summary; }).join(' | '));
+                  const view = document.createElement('button');
+                  view.textContent = '📄 View';
+                  view.style.marginTop = '0';
+                  view.onclick = function() { showRun(run); };
+                  const actions = addCell(row, '');
+                  actions.appendChild(view);
+                  if (run.failed > 0 && !run.retriedAt) {
+                    const retry = document.createElement('button');
+                    retry.textContent = '🔁 Retry ' + run.failed + ' failed';
+                    retry.style.marginTop = '0';
+                    retry.onclick = function() { retryFailed(run.id); };
+                    actions.appendChild(retry);
+                  }
+                  tbody.appendChild(row);
+                });
+                setStatus(runs.length ? runs.length + ' saved run(s)' : 'No runs recorded yet');
+              })
+              .withFailureHandler(function(err) {
+                setStatus('⚠️ ' + err.message);
+              })
+              .getSyncHistory();
+          }
+
+          function showRun(run) {
+            setStatus('⏳ Loading run from ' + new Date(run.ranAt).toLocaleString() + '…');
+            document.getElementById('result').classList.remove('visible');
+            google.script.run
+              .withSuccessHandler(function(report) {
+                setStatus('📄 Run from ' + new Date(run.ranAt).toLocaleString() + ' (' + run.source + ')');
+                showReport(report);
+              })
+              .withFailureHandler(function(err) {
+                setStatus('⚠️ ' + err.message);
+              })
+              .getSyncRunReport(run.id);
+          }
+
+          // Reports come as HTML, or as { html, tables } when their phase tables can be searched
+          function showReport(report) {
+            document.getElementById('result').innerHTML = typeof report === 'string' ? report : report.html;
+            document.getElementById('result').classList.add('visible');
+            enhanceReportTables(report.tables);
+          }
+
+          function retryFailed(runId) {
+            setStatus('⏳ Retrying failed items…');
+            google.script.run
+              .withSuccessHandler(function(report) {
+                if (report.busy) {
+                  setStatus(report.busy);
+                  return;
+                }
+                showReport(report);
+                loadHistory();
+              })
+              .withFailureHandler(function(err) {
+                setStatus('⚠️ ' + err.message);
+              })
+              .retryFailedItems(runId);
+          }
+
+          function undoLastSync() {
+            if (!confirm('Reverse every change made by the most recent sync run?')) return;
+            setStatus('⏳ Rolling back…');
+            google.script.run
+              .withSuccessHandler(function(report) {
+                if (report.busy) {
+                  setStatus(report.busy);
+                  return;
+                }
+                document.getElementById('result').innerHTML = report;
+                document.getElementById('result').classList.add('visible');
+                loadHistory();
+              })
+              .withFailureHandler(function(err) {
+                setStatus('⚠️ ' + err.message);
+              })
+              .rollbackLastSync();
+          }`;
+
+  return renderPage('history', body, script, 'loadHistory();');
+}
+
+function renderBacklogPage() {
+  const body = `
+        <h2>🎬 Backlog</h2>
+        <div id="status">Initializing…</div>
+        <div class="date-controls">
+          <label for="profileSelect">Profile:</label>
+          <select id="profileSelect" onchange="loadBacklog()">
+            <option value="">All profiles</option>
+            ${getSyncProfiles().map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join('')}
+          </select>
+          
+          <label for="snoozeSelect">Snooze for:</label>
+          <select id="snoozeSelect"></select>
+          
+          <label><input type="checkbox" id="showSnoozed" onchange="renderBacklog()" /> Show snoozed</label>
+          
+          <button onclick="loadBacklog()">🔄 Refresh</button>
+          <button onclick="downloadBacklog('csv')">⬇️ CSV</button>
+          <button onclick="downloadBacklog('md')">⬇️ Markdown</button>
+          <button onclick="downloadBacklog('ics')">⬇️ ICS</button>
+        </div>
+        <div id="backlog"></div>`;
+
+  const script = `
+          // Result of getBacklogView for the selected profile
+          let view = null;
+
+          function setStatus(text) {
+            document.getElementById('status').textContent = text;
+          }
+
+          function addCell(row, text) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+            return cell;
+          }
+
+          function loadBacklog() {
+            setStatus('⏳ Loading backlog…');
+            google.script.run
+              .withSuccessHandler(function(data) {
+                view = data;
+                renderSnoozeOptions();
+                renderBacklog();
+              })
+              .withFailureHandler(function(err) {
+                setStatus('⚠️ ' + err.message);
+              })
+              .getBacklogView(document.getElementById('profileSelect').value);
+          }
+
+          // Builds the file on the server so it matches ?action=export, snoozed items included
+          function downloadBacklog(format) {
+            setStatus('⏳ Exporting backlog…');
+            google.script.run
+              .withSuccessHandler(function(file) {
+                downloadFile(file.filename, file.content, file.mimeType);
+                setStatus('✅ Exported ' + file.filename);
+              })
+              .withFailureHandler(function(err) {
+                setStatus('⚠️ ' + err.message);
+              })
+              .exportBacklog(document.getElementById('profileSelect').value, format);
+          }
+
+          function renderSnoozeOptions() {
+            const select = document.getElementById('snoozeSelect');
+            if (select.options.length > 0) return;
+            view.snoozeDays.forEach(function(days) {
+              const option = document.createElement('option');
+              option.value = days;
+              option.textContent = days === 1 ? '1 day' : days === 7 ? '1 week' : days + ' days';
+              select.appendChild(option);
+            });
+            select.value = view.snoozeDays.indexOf(7) === -1 ? view.snoozeDays[0] : 7;
+          }
+
+          function renderBacklog() {
+            const container = document.getElementById('backlog');
+            const showSnoozed = document.getElementById('showSnoozed').checked;
+            let open = 0, snoozed = 0;
+            container.innerHTML = '';
+
+            view.profiles.forEach(function(backlog) {
+              const title = document.createElement('h3');
+              title.className = 'profile-title';
+              title.textContent = '🗂️ ' + backlog.profileName;
+              container.appendChild(title);
+              if (backlog.error) {
+                const error = document.createElement('div');
+                error.className = 'summary';
+                error.textContent = backlog.error;
+                container.appendChild(error);
+                return;
+              }
+
+              const items = backlog.items.filter(function(item) { return showSnoozed || !item.snoozed; });
+              const snoozedCount = backlog.items.filter(function(item) { return item.snoozed; }).length;
+              open += backlog.items.length - snoozedCount;
+              snoozed += snoozedCount;
+              if (items.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'empty-phase';
+                empty.textContent = backlog.items.length > 0 ? 'Everything is snoozed' : 'Nothing left to watch 🎉';
+                container.appendChild(empty);
+                return;
+              }
+
+              const table = document.createElement('table');
+              table.className = 'data-table';
+              const head = document.createElement('tr');
+              ['', 'Title', 'Date', 'Age', 'List', ''].forEach(function(text) {
+                const th = document.createElement('th');
+                th.textContent = text;
+                head.appendChild(th);
+              });
+              table.appendChild(document.createElement('thead')).appendChild(head);
+              const tbody = table.appendChild(document.createElement('tbody'));
+              items.forEach(function(item) { addItemRow(tbody, backlog.profileName, item); });
+              container.appendChild(table);
+            });
+
+            setStatus(open + ' open item(s)' + (snoozed > 0 ? ', ' + snoozed + ' snoozed' : ''));
+          }
+
+          function addItemRow(tbody, profileName, item) {
+            const row = document.createElement('tr');
+            addCell(row, item.icon);
+            addTitleCell(row, item);
+            addCell(row, item.due || '—');
+            addCell(row, item.age || '—');
+            addCell(row, item.taskListName);
+            const actions = addCell(row, '');
+            actions.className = 'backlog-actions';
+
+            const ids = [profileName, item.taskListId, item.id];
+            addAction(actions, '✅ Watched', function() {
+              runAction(row, actions, 'markBacklogItemWatched', ids);
+            });
+            if (item.snoozed) {
+              addAction(actions, '⏰ Unsnooze', function() {
+                runAction(row, actions, 'snoozeBacklogItem', ids.concat([0]));
+              });
+            } else {
+              addAction(actions, '😴 Snooze', function() {
+                runAction(row, actions, 'snoozeBacklogItem', ids.concat([document.getElementById('snoozeSelect').value]));
+              });
+            }
+            addAction(actions, '🗑️ Remove', function() {
+              if (!confirm('Remove "' + item.title + '" from the backlog? The task is deleted.')) return;
+              runAction(row, actions, 'removeBacklogItem', ids);
+            });
+            tbody.appendChild(row);
+          }
+
+          // Title with the poster and "year · genres · runtime" when the task has metadata; the synopsis is the tooltip
+          function addTitleCell(row, item) {
+            const cell = addCell(row, item.title + (item.snoozed ? ' · 😴 until ' + item.snoozedUntil : ''));
+            const metadata = item.metadata;
+            if (!metadata) return;
+            if (metadata.poster) {
+              const poster = document.createElement('img');
+              poster.className = 'backlog-poster';
+              poster.src = metadata.poster;
+              poster.alt = '';
+              poster.loading = 'lazy';
+              cell.insertBefore(poster, cell.firstChild);
+            }
+            if (item.details) {
+              const details = document.createElement('div');
+              details.className = 'backlog-details';
+              details.textContent = item.details;
+              cell.appendChild(details);
+            }
+            if (metadata.synopsis) cell.title = metadata.synopsis;
+          }
+
+          function addAction(cell, label, onClick) {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.onclick = onClick;
+            cell.appendChild(button);
+          }
+
+          // Calls a backlog action and replaces the row's buttons with what it changed
+          function runAction(row, actions, name, args) {
+            const buttons = Array.prototype.slice.call(actions.querySelectorAll('button'));
+            const restore = function() {
+              actions.innerHTML = '';
+              buttons.forEach(function(button) {
+                button.disabled = false;
+                actions.appendChild(button);
+              });
+            };
+            buttons.forEach(function(button) { button.disabled = true; });
+            actions.appendChild(document.createTextNode(' ⏳'));
+
+            const runner = google.script.run
+              .withSuccessHandler(function(result) {
+                if (result.busy) {
+                  restore();
+                  setStatus(result.busy);
+                  return;
+                }
+                actions.textContent = result.changes.join(' · ');
+                row.classList.add('backlog-done');
+              })
+              .withFailureHandler(function(err) {
+                restore();
+                setStatus('⚠️ ' + err.message);
+              });
+            runner[name].apply(runner, args);
+          }`;
+
+  return renderPage('backlog', body, script, 'loadBacklog();');
+}
+
+function renderSettingsPage() {
+  const body = `
+        <h2>⚙️ Sync Settings</h2>
+        <div id="status">Initializing…</div>
+        <div id="general"></div>
+        <div id="schedule" class="settings-card">
+          <div class="settings-field">
+            <label>⏰ Schedule</label>
+            <span id="scheduleStatus">Loading…</span>
+          </div>
+          <div class="settings-field">
+            <label>Last scheduled run</label>
+            <span id="lastTriggerRun">—</span>
+          </div>
+          <div class="settings-field">
+            <label for="intervalSelect">Run every</label>
+            <select id="intervalSelect"></select>
+            <button onclick="installTrigger()" style="margin-top: 0;">⏰ Install / update</button>
+            <button onclick="removeTrigger()" style="margin-top: 0;">🗑️ Remove</button>
+          </div>
+        </div>
+        <div id="digest" class="settings-card">
+          <div class="settings-field">
+            <label>📬 Backlog digest</label>
+            <span id="digestStatus">Loading…</span>
+          </div>
+          <div class="settings-field">
+            <label>Last digest</label>
+            <span id="lastDigest">—</span>
+          </div>
+          <div class="settings-field">
+            <label for="digestRecipient">Send to</label>
+            <input type="email" id="digestRecipient" />
+          </div>
+          <div class="settings-field">
+            <label for="digestFrequency">Send</label>
+            <select id="digestFrequency"></select>
+            <select id="digestHour"></select>
+          </div>
+          <div class="settings-field">
+            <label></label>
+            <button onclick="installDigest()" style="margin-top: 0;">📬 Install / update</button>
+            <button onclick="removeDigest()" style="margin-top: 0;">🗑️ Remove</button>
+            <button onclick="sendDigest()" style="margin-top: 0;">📨 Send now</button>
+          </div>
+        </div>
+        <div id="metadata" class="settings-card">
+          <div class="settings-field">
+            <label>🎞️ Metadata catalog</label>
+            <span id="metadataStatus">Loading…</span>
+          </div>
+          <div class="settings-field">
+            <label for="catalogFile">Catalog file (.json)</label>
+            <input type="file" id="catalogFile" accept=".json,application/json" />
+          </div>
+          <div class="settings-field">
+            <label></label>
+            <button onclick="loadCatalog()" style="margin-top: 0;">📥 Load</button>
+            <button onclick="removeCatalog()" style="margin-top: 0;">🗑️ Remove</button>
+          </div>
+        </div>
+        <div id="profiles"></div>
+        <div class="settings-card">
+          <div class="settings-field">
+            <label>🏷️ Platform rules</label>
+            <span>Tried top to bottom, first match wins</span>
+          </div>
+          <div id="platformRules"></div>
+          <button onclick="addPlatformRule()" style="margin-top: 0;">➕ Add rule</button>
+          <div class="settings-field" style="margin-top: 1em;">
+            <label for="testLocation">Test a location</label>
+            <input type="text" id="testLocation" placeholder="e.g. Netflix (S2)" />
+            <button onclick="testLocation()" style="margin-top: 0;">🧪 Test</button>
+            <span id="testResult"></span>
+          </div>
+        </div>
+        
+        <div class="date-controls">
+          <button onclick="addProfile()">➕ Add profile</button>
+          <button onclick="saveSettings()">💾 Save settings</button>
+        </div>`;
+
+  const script = `
+          // Live calendars, task lists, colors and the saved profiles (from getSettingsData)
+          let settings = null;
+
+          function setStatus(text) {
+            document.getElementById('status').textContent = text;
+          }
+
+          function loadSettings() {
+            setStatus('⏳ Loading calendars and task lists…');
+            google.script.run
+              .withSuccessHandler(function(data) {
+                settings = data;
+                renderGeneral();
+                renderProfiles();
+                renderPlatformRules();
+                setStatus('');
+              })
+              .withFailureHandler(function(err) {
+                setStatus('⚠️ ' + err.message);
+              })
+              .getSettingsData();
+
+            google.script.run
+              .withSuccessHandler(renderSchedule)
+              .withFailureHandler(function(err) {
+                document.getElementById('scheduleStatus').textContent = '⚠️ ' + err.message;
+              })
+              .getTriggerStatus();
+
+            google.script.run
+              .withSuccessHandler(renderDigest)
+              .withFailureHandler(showDigestError)
+              .getDigestStatus();
+
+            google.script.run
+              .withSuccessHandler(renderMetadata)
+              .withFailureHandler(showMetadataError)
+              .getMetadataStatus();
+          }
+
+          function describeInterval(hours) {
+            return hours === 24 ? 'day' : hours === 1 ? 'hour' : hours + ' hours';
+          }
+
+          function renderSchedule(status) {
+            let text = 'Not installed — syncs only run when you open the web app';
+            if (status.installed > 0) {
+              text = status.intervalHours
+                ? 'Installed: every ' + describeInterval(status.intervalHours)
+                : 'Installed (added in the editor, interval unknown)';
+            }
+            if (status.installed > 1) {
+              text += ' — ⚠️ installed ' + status.installed + ' times, so every run happens ' + status.installed +
+                ' times. Click Install / update to keep just one.';
+            }
+            document.getElementById('scheduleStatus').textContent = text;
+
+            const lastRun = status.lastRun;
+            document.getElementById('lastTriggerRun').textContent = lastRun
+              ? new Date(lastRun.at).toLocaleString() + ' — ' + lastRun.outcome + (lastRun.detail ? ' — ' + lastRun.detail : '')
+              : 'No scheduled run yet';
+
+            const select = document.getElementById('intervalSelect');
+            select.innerHTML = '';
+            status.intervals.forEach(function(hours) {
+              const option = document.createElement('option');
+              option.value = hours;
+              option.textContent = describeInterval(hours);
+              select.appendChild(option);
+            });
+            select.value = status.intervalHours || 1;
+          }
+
+          function installTrigger() {
+            const hours = document.getElementById('intervalSelect').value;
+            document.getElementById('scheduleStatus').textContent = '⏳ Installing…';
+            google.script.run
+              .withSuccessHandler(renderSchedule)
+              .withFailureHandler(function(err) {
+                document.getElementById('scheduleStatus').textContent = '⚠️ ' + err.message;
+              })
+              .installSyncTrigger(hours);
+          }
+
+          function removeTrigger() {
+            if (!confirm('Stop running the sync on a schedule?')) return;
+            document.getElementById('scheduleStatus').textContent = '⏳ Removing…';
+            google.script.run
+              .withSuccessHandler(renderSchedule)
+              .withFailureHandler(function(err) {
+                document.getElementById('scheduleStatus').textContent = '⚠️ ' + err.message;
+              })
+              .removeSyncTriggers();
+          }
+
+          function capitalize(text) {
+            return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+          }
+
+          function renderDigest(status) {
+            let text = 'Not installed — no digest emails are sent';
+            if (status.installed > 0) {
+              text = 'Installed: ' + (status.frequency === 'daily' ? 'every day' : 'every ' + capitalize(status.weekDay)) +
+                ' around ' + status.hour + ':00 to ' + status.recipient;
+            }
+            document.getElementById('digestStatus').textContent = text;
+            document.getElementById('lastDigest').textContent = status.lastSent
+              ? new Date(status.lastSent).toLocaleString()
+              : 'No digest sent yet';
+            document.getElementById('digestRecipient').value = status.recipient;
+
+            const frequency = document.getElementById('digestFrequency');
+            frequency.innerHTML = '';
+            status.frequencies.forEach(function(value) {
+              const option = document.createElement('option');
+              option.value = value;
+              option.textContent = value === 'daily' ? 'Daily' : 'Weekly (' + capitalize(status.weekDay) + ')';
+              frequency.appendChild(option);
+            });
+            frequency.value = status.frequency;
+
+            const hour = document.getElementById('digestHour');
+            hour.innerHTML = '';
+            for (let h = 0; h < 24; h++) {
+              const option = document.createElement('option');
+              option.value = h;
+              option.textContent = 'around ' + h + ':00';
+              hour.appendChild(option);
+            }
+            hour.value = status.hour;
+          }
+
+          function showDigestError(err) {
+            document.getElementById('digestStatus').textContent = '⚠️ ' + err.message;
+          }
+
+          function installDigest() {
+            document.getElementById('digestStatus').textContent = '⏳ Installing…';
+            google.script.run
+              .withSuccessHandler(renderDigest)
+              .withFailureHandler(showDigestError)
+              .installDigestTrigger(
+                document.getElementById('digestFrequency').value,
+                document.getElementById('digestHour').value,
+                document.getElementById('digestRecipient').value
+              );
+          }
+
+          function removeDigest() {
+            if (!confirm('Stop sending the backlog digest?')) return;
+            document.getElementById('digestStatus').textContent = '⏳ Removing…';
+            google.script.run
+              .withSuccessHandler(renderDigest)
+              .withFailureHandler(showDigestError)
+              .removeDigestTriggers();
+          }
+
+          // Sends to the saved recipient; Install / update first to change it
+          function sendDigest() {
+            document.getElementById('digestStatus').textContent = '⏳ Sending…';
+            google.script.run
+              .withSuccessHandler(renderDigest)
+              .withFailureHandler(showDigestError)
+              .sendBacklogDigest();
+          }
+
+          function renderMetadata(status) {
+            document.getElementById('metadataStatus').textContent = status.titles > 0
+              ? status.titles + ' title(s), loaded ' + new Date(status.savedAt).toLocaleString()
+              : 'No catalog — tasks are created without runtime, genre or poster';
+          }
+
+          function showMetadataError(err) {
+            document.getElementById('metadataStatus').textContent = '⚠️ ' + err.message;
+          }
+
+          // The file is read here and sent as text; the server checks it and replaces the saved catalog
+          function loadCatalog() {
+            const file = document.getElementById('catalogFile').files[0];
+            if (!file) {
+              showMetadataError({ message: 'Choose a catalog file first' });
+              return;
+            }
+            document.getElementById('metadataStatus').textContent = '⏳ Loading…';
+            const reader = new FileReader();
+            reader.onload = function() {
+              google.script.run
+                .withSuccessHandler(renderMetadata)
+                .withFailureHandler(showMetadataError)
+                .saveMetadataCatalog(reader.result);
+            };
+            reader.onerror = function() {
+              showMetadataError({ message: 'Could not read ' + file.name });
+            };
+            reader.readAsText(file);
+          }
+
+          function removeCatalog() {
+            if (!confirm('Remove the metadata catalog? Tasks keep the details they already have.')) return;
+            document.getElementById('metadataStatus').textContent = '⏳ Removing…';
+            google.script.run
+              .withSuccessHandler(renderMetadata)
+              .withFailureHandler(showMetadataError)
+              .removeMetadataCatalog();
+          }
+
+          function makeField(labelText, control) {
+            const field = document.createElement('div');
+            field.className = 'settings-field';
+            const label = document.createElement('label');
+            label.textContent = labelText;
+            field.appendChild(label);
+            field.appendChild(control);
+            return field;
+          }
+
+          function makeSelect(options, value, onChange) {
+            const select = document.createElement('select');
+            // Keep a saved value that no longer exists visible, so saving flags it instead of silently switching
+            const values = value && options.indexOf(value) === -1 ? [value].concat(options) : options;
+            values.forEach(function(optionValue) {
+              const option = document.createElement('option');
+              option.value = optionValue;
+              option.textContent = optionValue;
+              select.appendChild(option);
+            });
+            select.value = value;
+            select.onchange = function() { onChange(select.value); };
+            return select;
+          }
+
+          function makeSwatches(selectedId, onPick) {
+            const row = document.createElement('div');
+            row.className = 'swatches';
+            settings.colors.forEach(function(color) {
+              const swatch = document.createElement('button');
+              swatch.type = 'button';
+              swatch.className = 'swatch' + (color.id === selectedId ? ' selected' : '');
+              swatch.style.background = color.hex;
+              swatch.title = color.id + ' · ' + color.name;
+              swatch.onclick = function() {
+                onPick(color.id);
+                renderProfiles();
+              };
+              row.appendChild(swatch);
+            });
+            return row;
+          }
+
+          function renderGeneral() {
+            const card = document.createElement('div');
+            card.className = 'settings-card';
+            const historyLimit = document.createElement('input');
+            historyLimit.type = 'number';
+            historyLimit.min = '1';
+            historyLimit.max = '100';
+            historyLimit.value = settings.general.historyLimit;
+            historyLimit.oninput = function() { settings.general.historyLimit = historyLimit.value; };
+            card.appendChild(makeField('Runs kept in history', historyLimit));
+
+            const incremental = document.createElement('input');
+            incremental.type = 'checkbox';
+            incremental.checked = settings.general.incrementalSync;
+            incremental.onchange = function() { settings.general.incrementalSync = incremental.checked; };
+            card.appendChild(makeField('Incremental sync', incremental));
+
+            const taskOrder = document.createElement('select');
+            [['none', "Don't reorder"], ['date', 'Event date'], ['platform', 'Platform, then date']].forEach(function(entry) {
+              const option = document.createElement('option');
+              option.value = entry[0];
+              option.textContent = entry[1];
+              taskOrder.appendChild(option);
+            });
+            taskOrder.value = settings.general.taskOrder;
+            taskOrder.onchange = function() { settings.general.taskOrder = taskOrder.value; };
+            card.appendChild(makeField('Order open tasks by', taskOrder));
+
+            const duplicatePolicy = document.createElement('select');
+            [['separate', 'Track each separately'], ['merge', 'Merge into one']].forEach(function(entry) {
+              const option = document.createElement('option');
+              option.value = entry[0];
+              option.textContent = entry[1];
+              duplicatePolicy.appendChild(option);
+            });
+            duplicatePolicy.value = settings.general.duplicatePolicy;
+            duplicatePolicy.onchange = function() { settings.general.duplicatePolicy = duplicatePolicy.value; };
+            card.appendChild(makeField('Duplicate events', duplicatePolicy));
+            document.getElementById('general').appendChild(card);
+          }
+
+          function renderProfiles() {
+            const container = document.getElementById('profiles');
+            container.innerHTML = '';
+            settings.profiles.forEach(function(profile, index) {
+              const card = document.createElement('div');
+              card.className = 'settings-card';
+
+              const name = document.createElement('input');
+              name.type = 'text';
+              name.value = profile.name;
+              name.oninput = function() { profile.name = name.value; };
+              card.appendChild(makeField('Profile name', name));
+
+              const isFeed = profile.feedUrl !== undefined && profile.feedUrl !== null;
+              const source = document.createElement('select');
+              [['calendar', '📅 Google calendar'], ['feed', '📡 ICS feed']].forEach(function(entry) {
+                const option = document.createElement('option');
+                option.value = entry[0];
+                option.textContent = entry[1];
+                source.appendChild(option);
+              });
+              source.value = isFeed ? 'feed' : 'calendar';
+              source.onchange = function() {
+                if (source.value === 'feed') {
+                  profile.feedUrl = '';
+                  profile.feedFilters = { title: [], category: [], location: [] };
+                  profile.twoWaySync = false;
+                } else {
+                  delete profile.feedUrl;
+                  delete profile.feedFilters;
+                  profile.calendarName = profile.calendarName || settings.calendars[0] || '';
+                }
+                renderProfiles();
+              };
+              card.appendChild(makeField('Events from', source));
+
+              if (isFeed) {
+                const feedUrl = document.createElement('input');
+                feedUrl.type = 'url';
+                feedUrl.placeholder = 'https://… or webcal://…';
+                feedUrl.value = profile.feedUrl;
+                feedUrl.oninput = function() { profile.feedUrl = feedUrl.value; };
+                card.appendChild(makeField('Feed URL', feedUrl));
+
+                // Filters are edited as comma-separated words; an empty filter matches every entry
+                const filters = profile.feedFilters || (profile.feedFilters = {});
+                [['title', 'Unwatched if title contains'], ['category', 'and category is'], ['location', 'and location contains']].forEach(function(entry) {
+                  const input = document.createElement('input');
+                  input.type = 'text';
+                  input.placeholder = 'Any (comma-separated words)';
+                  input.value = [].concat(filters[entry[0]] || []).join(', ');
+                  input.oninput = function() { filters[entry[0]] = input.value; };
+                  card.appendChild(makeField(entry[1], input));
+                });
+              } else {
+                card.appendChild(makeField('Calendar', makeSelect(settings.calendars, profile.calendarName, function(value) {
+                  profile.calendarName = value;
+                })));
+              }
+              card.appendChild(makeField('Task list', makeSelect(settings.taskLists, profile.taskListName, function(value) {
+                profile.taskListName = value;
+              })));
+
+              // Feed entries have no color of their own, the filters decide what is unwatched
+              if (!isFeed) {
+                card.appendChild(makeField('Unwatched color', makeSwatches(profile.unwatchedColorId, function(id) {
+                  profile.unwatchedColorId = id;
+                })));
+                card.appendChild(makeField('Default color', makeSwatches(profile.defaultColorId, function(id) {
+                  profile.defaultColorId = id;
+                })));
+
+                const twoWay = document.createElement('input');
+                twoWay.type = 'checkbox';
+                twoWay.checked = !!profile.twoWaySync;
+                twoWay.onchange = function() { profile.twoWaySync = twoWay.checked; };
+                card.appendChild(makeField('Create events for tasks with no event', twoWay));
+              }
+
+              const remove = document.createElement('button');
+              remove.textContent = '🗑️ Remove profile';
+              remove.disabled = settings.profiles.length === 1;
+              remove.onclick = function() {
+                settings.profiles.splice(index, 1);
+                renderProfiles();
+              };
+              card.appendChild(remove);
+
+              container.appendChild(card);
+            });
+          }
+
+          function addProfile() {
+            if (!settings) return;
+            settings.profiles.push({
+              name: '',
+              calendarName: settings.calendars[0] || '',
+              taskListName: settings.taskLists[0] || '',
+              unwatchedColorId: '7',
+              defaultColorId: '11',
+              twoWaySync: false
+            });
+            renderProfiles();
+          }
+
+          function renderPlatformRules() {
+            const container = document.getElementById('platformRules');
+            container.innerHTML = '';
+            const rules = settings.platformRules;
+            rules.forEach(function(rule, index) {
+              const row = document.createElement('div');
+              row.className = 'settings-field rule-row';
+              const position = document.createElement('label');
+              position.textContent = '#' + (index + 1);
+              row.appendChild(position);
+
+              const icon = document.createElement('input');
+              icon.type = 'text';
+              icon.className = 'rule-icon';
+              icon.value = rule.icon;
+              icon.title = 'Icon';
+              icon.oninput = function() { rule.icon = icon.value; };
+              row.appendChild(icon);
+
+              const name = document.createElement('input');
+              name.type = 'text';
+              name.value = rule.name;
+              name.placeholder = 'Display name';
+              name.oninput = function() { rule.name = name.value; };
+              row.appendChild(name);
+
+              row.appendChild(makeSelect(settings.platformMatchTypes, rule.match, function(value) {
+                rule.match = value;
+              }));
+
+              const pattern = document.createElement('input');
+              pattern.type = 'text';
+              pattern.value = rule.pattern;
+              pattern.placeholder = 'Pattern';
+              pattern.oninput = function() { rule.pattern = pattern.value; };
+              row.appendChild(pattern);
+
+              // '' keeps the profile's own task list
+              const taskList = makeSelect([''].concat(settings.taskLists), rule.taskListName, function(value) {
+                rule.taskListName = value;
+              });
+              taskList.options[0].textContent = "Profile's task list";
+              taskList.title = 'Task list for new tasks';
+              row.appendChild(taskList);
+
+              [['↑', index - 1], ['↓', index + 1]].forEach(function(entry) {
+                const move = document.createElement('button');
+                move.textContent = entry[0];
+                move.disabled = entry[1] < 0 || entry[1] >= rules.length;
+                move.onclick = function() {
+                  rules.splice(index, 1);
+                  rules.splice(entry[1], 0, rule);
+                  renderPlatformRules();
+                };
+                row.appendChild(move);
+              });
+
+              const remove = document.createElement('button');
+              remove.textContent = '🗑️';
+              remove.onclick = function() {
+                rules.splice(index, 1);
+                renderPlatformRules();
+              };
+              row.appendChild(remove);
+
+              container.appendChild(row);
+            });
+          }
+
+          function addPlatformRule() {
+            if (!settings) return;
+            settings.platformRules.push({ name: '', icon: '', match: 'substring', pattern: '', taskListName: '' });
+            renderPlatformRules();
+          }
+
+          function testLocation() {
+            if (!settings) return;
+            const result = document.getElementById('testResult');
+            result.textContent = '⏳';
+            google.script.run
+              .withSuccessHandler(function(match) {
+                result.textContent = match
+                  ? '→ #' + (match.index + 1) + ' ' + match.rule.icon + ' ' + match.rule.name +
+                    (match.rule.taskListName ? ' (tasks go to ' + match.rule.taskListName + ')' : '')
+                  : '→ No rule matches';
+              })
+              .withFailureHandler(function(err) {
+                result.textContent = '⚠️ ' + err.message;
+              })
+              .testPlatformRules(document.getElementById('testLocation').value, settings.platformRules);
+          }
+
+          function saveSettings() {
+            if (!settings) return;
+            setStatus('⏳ Saving…');
+            google.script.run
+              .withSuccessHandler(function(saved) {
+                settings.profiles = saved;
+                renderProfiles();
+                setStatus('✔ Saved — the next sync uses these settings');
+              })
+              .withFailureHandler(function(err) {
+                setStatus('⚠️ ' + err.message);
+              })
+              .saveSettings(settings.profiles, settings.general, settings.platformRules);
+          }`;
+
+  return renderPage('settings', body, script, 'loadSettings();');
 }
 
-// Helper to generate table rows efficiently
-function generateTableRows(data, columns) {
-  return data.map(row => 
-    `<tr>${columns.map(col => `<td${col.style ? ` style="${col.style}"` : ''}>${row[col.key]}</td>`).join('')}</tr>`
-  ).join('');
+function renderSyncPage() {
+  const body = `
+        <h2>📌 Calendar to Tasks Sync</h2>
+        <div id="status">Initializing…</div>
+        <button id="applyBtn" onclick="applyChanges()" style="display: none;">✅ Apply these changes</button>
+        <button id="undoBtn" onclick="undoLastSync()" style="display: none;">↩️ Undo this sync</button>
+        <button id="retryBtn" onclick="retryFailed()" style="display: none;">🔁 Retry failed items</button>
+        <button id="tryAgainBtn" style="display: none;">🔄 Try again</button>
+        <div id="result"></div>
+        
+        <div class="date-controls">
+          <label for="startDate">From:</label>
+          <input type="date" id="startDate" />
+          
+          <label for="endDate">To:</label>
+          <input type="date" id="endDate" />
+          
+          <label for="profileSelect">Profile:</label>
+          <select id="profileSelect">
+            <option value="">All profiles</option>
+            ${getSyncProfiles().map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`).join('')}
+          </select>
+          
+          <button onclick="run()">🔍 Preview</button>
+          <button onclick="run('full')" title="Ignore the incremental sync token and re-read the whole date range">🔄 Full resync</button>
+        </div>
+        
+        <p id="footer">
+          Ran at <span id="ranAt">—</span>
+        </p>`;
+
+  const script = `
+          // Initialize date inputs with default values
+          function initDates() {
+            const today = new Date();
+            const sixMonthsAgo = new Date();
+            sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+            
+            const formatDate = (date) => {
+              const year = date.getFullYear();
+              const month = String(date.getMonth() + 1).padStart(2, '0');
+              const day = String(date.getDate()).padStart(2, '0');
+              return year + '-' + month + '-' + day;
+            };
+            
+            document.getElementById('startDate').value = formatDate(sixMonthsAgo);
+            document.getElementById('endDate').value = formatDate(today);
+          }
+
+          // Arguments and previewId of the last preview with changes; the server rebuilds the plans from them
+          let pendingPreview = null;
+
+          function resetResult(statusText) {
+            document.getElementById('status').textContent = statusText;
+            document.getElementById('status').classList.remove('error');
+            document.getElementById('tryAgainBtn').style.display = 'none';
+            document.getElementById('result').classList.remove('visible');
+            document.getElementById('result').innerHTML = '';
+            document.getElementById('applyBtn').style.display = 'none';
+            document.getElementById('undoBtn').style.display = 'none';
+            document.getElementById('retryBtn').style.display = 'none';
+            document.getElementById('ranAt').textContent = '—';
+          }
+
+          // Reports come as HTML, or as { html, tables } when their phase tables can be searched
+          function showResult(statusText, report) {
+            document.getElementById('status').textContent = statusText;
+            document.getElementById('result').innerHTML = typeof report === 'string' ? report : report.html;
+            document.getElementById('result').classList.add('visible');
+            enhanceReportTables(report.tables);
+            document.getElementById('ranAt').textContent = new Date().toLocaleString();
+            const hasFailures = document.querySelector('#result .failed-items') !== null;
+            document.getElementById('retryBtn').style.display = hasFailures ? '' : 'none';
+          }
+
+          // Server errors (timeouts, authorization, exceptions) replace the spinner with the message
+          // and a button that repeats the call; tryAgain re-runs the request
+          function showError(err, tryAgain) {
+            const status = document.getElementById('status');
+            status.textContent = '❌ ' + (err && err.message ? err.message : err);
+            status.classList.add('error');
+            const button = document.getElementById('tryAgainBtn');
+            button.onclick = tryAgain;
+            button.style.display = '';
+          }
+
+          // Page load and "Preview" only compute the plan, so a refresh never changes data.
+          // mode 'full' skips incremental sync for this run.
+          function run(mode) {
+            const startDate = document.getElementById('startDate').value;
+            const endDate = document.getElementById('endDate').value;
+            const profileName = document.getElementById('profileSelect').value;
+            
+            pendingPreview = null;
+            resetResult('⏳ Building preview…');
+            google.script.run
+              .withSuccessHandler(function(preview) {
+                showPreview(preview, [startDate, endDate, profileName, mode || null], '👀 Preview — review, then apply');
+              })
+              .withFailureHandler(function(err) {
+                showError(err, function() { run(mode); });
+              })
+              .previewSync(startDate, endDate, profileName, mode || null);
+          }
+
+          function showPreview(preview, args, statusText) {
+            const hasChanges = !!preview.previewId;
+            pendingPreview = hasChanges ? { args: args, previewId: preview.previewId } : null;
+            showResult(hasChanges ? statusText : '✔ Nothing to change', preview);
+            document.getElementById('applyBtn').style.display = hasChanges ? '' : 'none';
+          }
+
+          function applyChanges() {
+            if (!pendingPreview) return;
+            const preview = pendingPreview;
+            pendingPreview = null;
+            
+            resetResult('⏳ Applying…');
+            const runner = google.script.run
+              .withSuccessHandler(function(report) {
+                if (report.busy) {
+                  // Nothing was applied: keep the preview so it can be applied once the other run finishes
+                  pendingPreview = preview;
+                  document.getElementById('status').textContent = report.busy;
+                  document.getElementById('applyBtn').style.display = '';
+                  return;
+                }
+                if (report.changed) {
+                  // Calendar or tasks changed after the preview, so nothing was applied
+                  showPreview(report, preview.args, '⚠️ Changed since the preview — review again, then apply');
+                  return;
+                }
+                showResult('✔ Done', report);
+                document.getElementById('undoBtn').style.display = '';
+              })
+              .withFailureHandler(function(err) {
+                // Part of the plan may have gone through, so preview again rather than re-sending it
+                showError(err, function() { run(); });
+              });
+            runner.applyPreview.apply(runner, preview.args.concat([preview.previewId]));
+          }
+
+          function undoLastSync() {
+            if (!confirm('Reverse every change made by the last sync run?')) return;
+            
+            resetResult('⏳ Rolling back…');
+            google.script.run
+              .withSuccessHandler(function(report) {
+                if (report.busy) {
+                  document.getElementById('status').textContent = report.busy;
+                  document.getElementById('undoBtn').style.display = '';
+                  return;
+                }
+                showResult('↩️ Rolled back', report);
+              })
+              .withFailureHandler(function(err) {
+                showError(err, function() { undoLastSync(); });
+              })
+              .rollbackLastSync();
+          }
+
+          function retryFailed() {
+            resetResult('⏳ Retrying failed items…');
+            google.script.run
+              .withSuccessHandler(function(report) {
+                if (report.busy) {
+                  document.getElementById('status').textContent = report.busy;
+                  document.getElementById('retryBtn').style.display = '';
+                  return;
+                }
+                showResult('🔁 Retried', report);
+                document.getElementById('undoBtn').style.display = '';
+              })
+              .withFailureHandler(function(err) {
+                showError(err, function() { retryFailed(); });
+              })
+              .retryFailedItems(null);
+          }`;
+
+  return renderPage('sync', body, script, 'initDates(); run();');
 }
-// -----------------------------------------------------------------
-// Web App Wrappers
-// -----------------------------------------------------------------
 
-function doGet(e) {
+// Shared shell for every web app page: theme styles and scripts, theme selector and page navigation
+function renderPage(page, body, script, onload) {
   const html = HtmlService.createHtmlOutput(
     `<html>
       <head>
@@ -511,201 +5086,234 @@ function doGet(e) {
             border-radius: 8px;
             display: flex;
             align-items: center;
-            gap: 0.8em;
-            flex-wrap: wrap;
+            gap: 0.8em;
+            flex-wrap: wrap;
+          }
+          
+          .date-controls label {
+            font-weight: 600;
+            color: var(--text-primary);
+            font-size: 0.95em;
+          }
+          
+          .date-controls input[type="date"],
+          .date-controls select {
+            padding: 0.5em 0.7em;
+            border: 1px solid var(--border-color);
+            border-radius: 4px;
+            background: var(--bg-primary);
+            color: var(--text-primary);
+            font-size: 0.95em;
+          }
+          
+          .date-controls button {
+            margin: 0;
+            padding: 0.5em 1em;
+          }
+          
+          ${getReportStyles()}
+          
+          .theme-selector {
+            position: fixed;
+            top: 1em;
+            right: 1em;
+            padding: 0.8em;
+            background: var(--bg-secondary);
+            border: 1px solid var(--border-color);
+            border-radius: 8px;
+            box-shadow: 0 2px 8px var(--shadow);
+            display: flex;
+            flex-direction: column;
+            gap: 0.5em;
+            min-width: 200px;
+          }
+          
+          .theme-selector-row {
+            display: flex;
+            align-items: center;
+            gap: 0.5em;
           }
           
-          .date-controls label {
+          .theme-selector label {
+            font-size: 0.85em;
             font-weight: 600;
             color: var(--text-primary);
-            font-size: 0.95em;
+            min-width: 60px;
           }
           
-          .date-controls input[type="date"] {
-            padding: 0.5em 0.7em;
+          .theme-selector select {
+            flex: 1;
+            padding: 0.3em 0.5em;
             border: 1px solid var(--border-color);
             border-radius: 4px;
             background: var(--bg-primary);
             color: var(--text-primary);
-            font-size: 0.95em;
+            cursor: pointer;
+            font-size: 0.9em;
           }
           
-          .date-controls button {
-            margin: 0;
-            padding: 0.5em 1em;
+          .page-nav {
+            display: flex;
+            gap: 1em;
+            font-weight: 600;
           }
           
-          /* Summary styling */
-          .summary {
-            margin-top: 1em;
-            padding: 1em 1.2em;
-            background: var(--accent-light);
-            border: 2px solid var(--accent-primary);
-            border-radius: 10px;
-            font-weight: 600;
+          .page-nav a {
             color: var(--accent-primary);
-            font-size: 1.1em;
-            box-shadow: 0 2px 6px var(--shadow);
-            line-height: 1.8;
+            text-decoration: none;
           }
           
-          /* Phase container - card-like wrapper */
-          .phase-container {
-            margin-top: 2em;
+          .page-nav .active {
+            color: var(--text-primary);
+            border-bottom: 2px solid var(--accent-primary);
+          }
+          
+          .settings-card {
+            margin-top: 1.5em;
+            padding: 1em 1.2em;
             background: var(--bg-secondary);
             border: 1px solid var(--border-color);
             border-radius: 12px;
-            overflow: hidden;
             box-shadow: 0 4px 12px var(--shadow);
-            transition: transform 0.2s, box-shadow 0.2s;
-          }
-          
-          .phase-container:hover {
-            transform: translateY(-2px);
-            box-shadow: 0 6px 16px var(--shadow);
           }
           
-          /* Phase header styling */
-          .phase {
-            padding: 1em 1.2em;
-            background: linear-gradient(135deg, var(--accent-light), var(--bg-secondary));
-            border-bottom: 2px solid var(--accent-primary);
-            font-weight: 600;
-            color: var(--text-primary);
-            font-size: 1.1em;
+          .settings-field {
             display: flex;
             align-items: center;
-            gap: 0.5em;
-            cursor: pointer;
-            user-select: none;
-          }
-          
-          .phase:hover {
-            background: var(--accent-light);
+            gap: 0.8em;
+            margin-bottom: 0.8em;
+            flex-wrap: wrap;
           }
           
-          .phase-toggle {
-            margin-left: auto;
-            transition: transform 0.3s;
-            font-size: 1.2em;
+          .settings-field label {
+            min-width: 130px;
+            font-weight: 600;
           }
           
-          .phase-container.collapsed .phase-toggle {
-            transform: rotate(-90deg);
+          .table-tools {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 0.4em;
+            padding: 0.6em 1em;
+            border-bottom: 1px solid var(--border-color);
           }
           
-          /* Table wrapper for padding */
-          .table-wrapper {
-            padding: 0;
-            max-height: 600px;
-            overflow-y: auto;
-            transition: max-height 0.3s ease-out;
+          .table-tools input[type="search"] {
+            flex: 1;
+            min-width: 10em;
+            padding: 0.4em 0.6em;
+            border: 1px solid var(--border-color);
+            border-radius: 4px;
+            background: var(--bg-primary);
+            color: var(--text-primary);
           }
           
-          .phase-container.collapsed .table-wrapper {
-            max-height: 0;
-            overflow: hidden;
+          .table-tools button {
+            margin: 0;
+            padding: 0.3em 0.6em;
+            font-size: 0.85em;
           }
           
-          /* Table styling */
-          .data-table {
-            width: 100%;
-            border-collapse: collapse;
+          .table-tools .chip {
             background: var(--bg-primary);
+            color: var(--text-primary);
+            border: 1px solid var(--border-color);
+            border-radius: 12px;
           }
           
-          .data-table thead {
-            background: linear-gradient(135deg, var(--accent-secondary), var(--accent-primary));
+          .table-tools .chip.active {
+            background: var(--accent-primary);
+            border-color: var(--accent-primary);
             color: white;
           }
           
-          .data-table th {
-            padding: 0.8em;
-            text-align: left;
-            font-weight: 600;
-            font-size: 0.95em;
-            text-transform: uppercase;
-            letter-spacing: 0.5px;
+          .table-count {
+            color: var(--text-secondary);
+            font-size: 0.85em;
           }
           
-          .data-table td {
-            padding: 0.9em 1em;
-            border-bottom: 1px solid var(--border-color);
-            background: var(--bg-primary);
-            transition: background 0.15s;
+          .phase-container.collapsed .table-tools {
+            display: none;
           }
           
-          .data-table tbody tr:hover td {
-            background: var(--table-hover);
+          .data-table th.sortable {
+            cursor: pointer;
+            user-select: none;
           }
           
-          .data-table tbody tr:nth-child(even) td {
-            background: var(--table-stripe);
+          .backlog-actions {
+            white-space: nowrap;
           }
           
-          .data-table tbody tr:nth-child(even):hover td {
-            background: var(--table-hover);
+          .backlog-actions button {
+            margin: 0 0.3em 0 0;
+            padding: 0.3em 0.6em;
+            font-size: 0.9em;
           }
           
-          .data-table tbody tr:last-child td {
-            border-bottom: none;
+          .backlog-done td {
+            opacity: 0.6;
           }
           
-          /* Empty state */
-          .empty-phase {
-            padding: 2em;
-            text-align: center;
-            color: var(--text-secondary);
-            font-style: italic;
+          .backlog-poster {
+            float: left;
+            width: 32px;
+            margin-right: 0.6em;
+            border-radius: 3px;
           }
           
-          /* Stats badge */
-          .stats-badge {
-            background: var(--accent-primary);
-            color: white;
-            padding: 0.2em 0.6em;
-            border-radius: 12px;
+          .backlog-details {
+            color: var(--text-secondary);
             font-size: 0.85em;
-            font-weight: 600;
           }
           
-          .theme-selector {
-            position: fixed;
-            top: 1em;
-            right: 1em;
-            padding: 0.8em;
-            background: var(--bg-secondary);
+          .settings-field input[type="text"],
+          .settings-field input[type="number"],
+          .settings-field input[type="email"],
+          .settings-field input[type="url"],
+          .settings-field select {
+            flex: 1;
+            padding: 0.5em 0.7em;
             border: 1px solid var(--border-color);
-            border-radius: 8px;
-            box-shadow: 0 2px 8px var(--shadow);
-            display: flex;
-            flex-direction: column;
-            gap: 0.5em;
-            min-width: 200px;
+            border-radius: 4px;
+            background: var(--bg-primary);
+            color: var(--text-primary);
+            font-size: 0.95em;
           }
           
-          .theme-selector-row {
+          .swatches {
             display: flex;
-            align-items: center;
-            gap: 0.5em;
+            gap: 0.4em;
+            flex-wrap: wrap;
           }
           
-          .theme-selector label {
-            font-size: 0.85em;
-            font-weight: 600;
-            color: var(--text-primary);
-            min-width: 60px;
+          .swatch {
+            width: 1.8em;
+            height: 1.8em;
+            margin: 0;
+            padding: 0;
+            border-radius: 50%;
+            border: 3px solid transparent;
           }
           
-          .theme-selector select {
-            flex: 1;
-            padding: 0.3em 0.5em;
-            border: 1px solid var(--border-color);
-            border-radius: 4px;
-            background: var(--bg-primary);
-            color: var(--text-primary);
-            cursor: pointer;
-            font-size: 0.9em;
+          .swatch.selected {
+            border-color: var(--text-primary);
+          }
+          
+          .settings-field input.rule-icon {
+            flex: 0 0 3em;
+            text-align: center;
+          }
+          
+          .rule-row button {
+            margin-top: 0;
+            padding: 0.4em 0.7em;
+          }
+          
+          button:disabled {
+            opacity: 0.5;
+            cursor: not-allowed;
           }
           
           h2 {
@@ -719,6 +5327,8 @@ function doGet(e) {
             font-size: 1.05em;
             padding: 0.5em 0;
           }
+          
+          #status.error { color: #dc2626; }
         </style>
         <script>
           const themes = {
@@ -918,43 +5528,152 @@ function doGet(e) {
             container.classList.toggle('collapsed');
           }
 
-          // Initialize date inputs with default values
-          function initDates() {
-            const today = new Date();
-            const sixMonthsAgo = new Date();
-            sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-            
-            const formatDate = (date) => {
-              const year = date.getFullYear();
-              const month = String(date.getMonth() + 1).padStart(2, '0');
-              const day = String(date.getDate()).padStart(2, '0');
-              return year + '-' + month + '-' + day;
-            };
-            
-            document.getElementById('startDate').value = formatDate(sixMonthsAgo);
-            document.getElementById('endDate').value = formatDate(today);
+          // Rebuilds the phase tables of a report from their rows ({ id, filterKey, columns, rows }),
+          // adding a search box, status filter chips, sortable columns and CSV/JSON export
+          function enhanceReportTables(tables) {
+            (tables || []).forEach(function(table) {
+              const container = document.getElementById(table.id);
+              if (!container || table.rows.length === 0) return;
+              const wrapper = container.querySelector('.table-wrapper');
+              const state = { query: '', filter: null, sortKey: null, sortDir: 1 };
+
+              const tools = document.createElement('div');
+              tools.className = 'table-tools';
+              const search = document.createElement('input');
+              search.type = 'search';
+              search.placeholder = '🔍 Search…';
+              search.oninput = function() {
+                state.query = search.value.trim().toLowerCase();
+                render();
+              };
+              tools.appendChild(search);
+
+              const counts = {};
+              table.rows.forEach(function(row) {
+                const value = String(row[table.filterKey]);
+                counts[value] = (counts[value] || 0) + 1;
+              });
+              const chips = Object.keys(counts).map(function(value) {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'chip';
+                chip.textContent = value + ' (' + counts[value] + ')';
+                chip.onclick = function() {
+                  state.filter = state.filter === value ? null : value;
+                  chips.forEach(function(other) { other.classList.toggle('active', other === chip && state.filter !== null); });
+                  render();
+                };
+                tools.appendChild(chip);
+                return chip;
+              });
+
+              const shown = document.createElement('span');
+              shown.className = 'table-count';
+              tools.appendChild(shown);
+              [['csv', '⬇️ CSV'], ['json', '⬇️ JSON']].forEach(function(format) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = format[1];
+                button.onclick = function() { exportRows(table, visibleRows(), format[0]); };
+                tools.appendChild(button);
+              });
+
+              const dataTable = document.createElement('table');
+              dataTable.className = 'data-table';
+              const head = document.createElement('tr');
+              const headers = table.columns.map(function(column) {
+                const th = document.createElement('th');
+                th.className = 'sortable';
+                th.textContent = column.title;
+                th.onclick = function() {
+                  state.sortDir = state.sortKey === column.key ? -state.sortDir : 1;
+                  state.sortKey = column.key;
+                  render();
+                };
+                head.appendChild(th);
+                return th;
+              });
+              dataTable.appendChild(document.createElement('thead')).appendChild(head);
+              const tbody = dataTable.appendChild(document.createElement('tbody'));
+
+              function visibleRows() {
+                const rows = table.rows.filter(function(row) {
+                  if (state.filter !== null && String(row[table.filterKey]) !== state.filter) return false;
+                  if (!state.query) return true;
+                  return table.columns.some(function(column) {
+                    return String(row[column.key]).toLowerCase().indexOf(state.query) !== -1;
+                  });
+                });
+                if (state.sortKey) {
+                  rows.sort(function(a, b) {
+                    return state.sortDir * String(a[state.sortKey]).localeCompare(String(b[state.sortKey]), undefined, { numeric: true });
+                  });
+                }
+                return rows;
+              }
+
+              function render() {
+                const rows = visibleRows();
+                tbody.innerHTML = '';
+                rows.forEach(function(row) {
+                  const tr = document.createElement('tr');
+                  table.columns.forEach(function(column) {
+                    const td = document.createElement('td');
+                    td.textContent = row[column.key];
+                    tr.appendChild(td);
+                  });
+                  tbody.appendChild(tr);
+                });
+                headers.forEach(function(th, i) {
+                  const key = table.columns[i].key;
+                  th.textContent = table.columns[i].title + (state.sortKey === key ? (state.sortDir > 0 ? ' ▲' : ' ▼') : '');
+                });
+                shown.textContent = rows.length + ' of ' + table.rows.length;
+              }
+
+              container.insertBefore(tools, wrapper);
+              wrapper.innerHTML = '';
+              wrapper.appendChild(dataTable);
+              render();
+            });
           }
 
-          function run() {
-            const startDate = document.getElementById('startDate').value;
-            const endDate = document.getElementById('endDate').value;
-            
-            document.getElementById('status').textContent = '⏳ Running…';
-            document.getElementById('result').classList.remove('visible');
-            document.getElementById('result').innerHTML = '';
-            document.getElementById('ranAt').textContent = '—';
-            google.script.run
-              .withSuccessHandler(function(summary) {
-                document.getElementById('status').textContent = '✔ Done';
-                document.getElementById('result').innerHTML = summary;
-                document.getElementById('result').classList.add('visible');
-                document.getElementById('ranAt').textContent = new Date().toLocaleString();
-              })
-              .syncCalendarAndTasks(startDate, endDate);
+          // Downloads rows with the table's column titles as a .csv or .json file
+          function exportRows(table, rows, format) {
+            let content;
+            if (format === 'json') {
+              content = JSON.stringify(rows.map(function(row) {
+                const item = {};
+                table.columns.forEach(function(column) { item[column.title] = row[column.key]; });
+                return item;
+              }), null, 2);
+            } else {
+              const lines = [table.columns.map(function(column) { return csvCell(column.title); }).join(',')]
+                .concat(rows.map(function(row) {
+                  return table.columns.map(function(column) { return csvCell(row[column.key]); }).join(',');
+                }));
+              // Byte order mark so spreadsheet apps read the emoji as UTF-8
+              content = '\\ufeff' + lines.join('\\r\\n');
+            }
+            downloadFile(table.id + '.' + format, content, format === 'json' ? 'application/json' : 'text/csv');
           }
+
+          ${csvCell.toString()}
+
+          function downloadFile(filename, content, type) {
+            const blob = new Blob([content], { type: type });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(function() { URL.revokeObjectURL(link.href); }, 1000);
+          }
+${script}
         </script>
       </head>
-      <body onload="initTheme(); initDates(); run();">
+      <body onload="initTheme(); ${onload}">
         <div class="theme-selector">
           <div class="theme-selector-row">
             <label for="modeSelect">🌓 Mode:</label>
@@ -976,29 +5695,41 @@ function doGet(e) {
           </div>
         </div>
         
-        <h2>📌 Calendar to Tasks Sync</h2>
-        <div id="status">Initializing…</div>
-        <div id="result"></div>
-        
-        <div class="date-controls">
-          <label for="startDate">From:</label>
-          <input type="date" id="startDate" />
-          
-          <label for="endDate">To:</label>
-          <input type="date" id="endDate" />
-          
-          <button onclick="run()">🔄 Run Again</button>
-        </div>
-        
-        <p id="footer">
-          Ran at <span id="ranAt">—</span>
-        </p>
+        ${renderPageNav(page)}
+        ${body}
       </body>
     </html>`
   ).setTitle('📌 Calendar to Tasks Sync Report');
   return html;
 }
 
+function renderPageNav(currentPage) {
+  const url = ScriptApp.getService().getUrl();
+  const pages = [
+    ['sync', '📊 Sync'],
+    ['backlog', '🎬 Backlog'],
+    ['history', '🕘 History'],
+    ['settings', '⚙️ Settings']
+  ];
+  const links = pages.map(([page, label]) => page === currentPage
+    ? `<span class="active">${label}</span>`
+    : `<a href="${url}?page=${page}" target="_top">${label}</a>`
+  );
+  return `<nav class="page-nav">${links.join('')}</nav>`;
+}
+
+// POST bodies are JSON ({ action, startDate, endDate, profile, mode, token }) and override query parameters
 function doPost(e) {
-  return doGet(e); // same shell; still calls sync on load
+  const params = (e && e.parameter) || {};
+  const contents = e && e.postData && e.postData.contents;
+  if (!contents && params.action) return handleApiRequest(params, 'POST');
+  if (!contents) return doGet(e); // same shell; loads in preview mode
+
+  let body;
+  try {
+    body = JSON.parse(contents);
+  } catch (err) {
+    return jsonResponse({ ok: false, error: { message: `Request body is not valid JSON: ${err.message}` } });
+  }
+  return handleApiRequest({ ...params, ...body }, 'POST');
 }
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+// =================================================================
+// Runs the sync in calendar_to_task.js with Node instead of Apps Script: ICS files stand in for
+// Google Calendar and a JSON file for Google Tasks. Only Node's built-in modules are used.
+// See "Running Offline with Node" in calendar_to_task.md.
+// =================================================================
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+const SCRIPT_FILE = path.join(__dirname, 'calendar_to_task.js');
+
+const USAGE = `Usage: node calendar_to_task_node.js --calendar <file.ics> --tasks <file.json> [options]
+
+  --calendar <file.ics>     Calendar to sync (repeatable). Named by its X-WR-CALNAME, or use name=<file.ics>
+  --feed <url>=<file.ics>   Read the feed of a feed profile from a local file (repeatable)
+  --tasks <file.json>       Task lists, read and written back; created when missing
+  --properties <file.json>  Script properties (profiles, settings, run history), read and written back
+  --catalog <file.json>     Metadata catalog for runtime, genre and poster (default: the one saved in properties)
+  --profile <name>          Sync only this profile
+  --start <yyyy-MM-dd>      First day to sync (default: 6 months ago)
+  --end <yyyy-MM-dd>        Last day to sync (default: today)
+  --preview                 Show what would change without writing any file
+  --report <file.html>      Save the HTML report
+  --time-zone <zone>        Time zone of the calendar (default: the system's)
+  --verbose                 Print the sync log`;
+
+function main(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!options.tasks) {
+    console.error(USAGE);
+    return 2;
+  }
+  // Must be set before the script is loaded, dates without a time zone are read in this one
+  if (options.timeZone) process.env.TZ = options.timeZone;
+  const timeZone = options.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  const properties = options.properties ? readJson(options.properties, {}) : {};
+  const context = loadScript({ timeZone, properties, verbose: options.verbose });
+
+  const calendar = context.icsCalendarAdapter(options.calendars.map(source => ({
+    name: source.name,
+    text: fs.readFileSync(source.file, 'utf8')
+  })));
+  const taskData = readJson(options.tasks, null) || { lists: defaultTaskLists(context, options.profile) };
+  context.useSyncAdapters({
+    calendar,
+    tasks: jsonTaskStore(taskData),
+    fetchFeed: (url) => readFeed(options.feeds, url),
+    metadata: options.catalog ? context.jsonCatalogProvider(JSON.parse(fs.readFileSync(options.catalog, 'utf8'))) : undefined
+  });
+
+  const profiles = context.selectSyncProfiles(options.profile);
+  if (profiles.length === 0) {
+    console.error(context.profileNotFound(options.profile).message);
+    return 1;
+  }
+
+  let ok = true;
+  if (options.preview) {
+    for (const { profile, counts, error } of context.buildPreviews(options.start, options.end, profiles)) {
+      ok = ok && !error;
+      console.log(error
+        ? `${profile.name}: ${error.message}`
+        : `${profile.name}: 👀 To create: ${counts.create}, To update: ${counts.update}, ` +
+          `To delete: ${counts.delete}, To reset: ${counts.reset}`);
+    }
+    if (options.report) {
+      writeReport(context, options.report, context.previewSync(options.start, options.end, options.profile).html);
+    }
+    return ok ? 0 : 1;
+  }
+
+  const run = context.runSync(options.start, options.end, profiles, undefined, 'node');
+  for (const result of run.results) {
+    ok = ok && !result.error && result.failures.length === 0;
+    console.log(`${result.profileName}: ${context.resultSummary(result)}`);
+  }
+
+  writeJson(options.tasks, taskData);
+  calendar.getAllCalendars().forEach((cal, i) => {
+    if (cal.hasChanges()) fs.writeFileSync(options.calendars[i].file, cal.toIcs());
+  });
+  if (options.properties) writeJson(options.properties, properties);
+  if (options.report) writeReport(context, options.report, context.renderSyncResults(run.results));
+  return ok ? 0 : 1;
+}
+
+function parseArgs(argv) {
+  const options = { calendars: [], feeds: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--calendar') {
+      const source = value();
+      const eq = source.indexOf('=');
+      options.calendars.push(eq > 0 && !fs.existsSync(source)
+        ? { name: source.slice(0, eq), file: source.slice(eq + 1) }
+        : { name: '', file: source });
+    } else if (arg === '--feed') {
+      const mapping = value();
+      const eq = mapping.lastIndexOf('=');
+      if (eq <= 0) throw new Error('--feed needs <url>=<file.ics>');
+      options.feeds[mapping.slice(0, eq)] = mapping.slice(eq + 1);
+    } else if (arg === '--tasks') options.tasks = value();
+    else if (arg === '--properties') options.properties = value();
+    else if (arg === '--catalog') options.catalog = value();
+    else if (arg === '--profile') options.profile = value();
+    else if (arg === '--start') options.start = value();
+    else if (arg === '--end') options.end = value();
+    else if (arg === '--report') options.report = value();
+    else if (arg === '--time-zone') options.timeZone = value();
+    else if (arg === '--preview') options.preview = true;
+    else if (arg === '--verbose') options.verbose = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return options;
+}
+
+// Loads calendar_to_task.js into its own context with the few Apps Script services the sync
+// needs besides calendars and tasks (dates, properties, lock, log)
+function loadScript({ timeZone, properties, verbose }) {
+  const context = vm.createContext({
+    console,
+    Session: { getScriptTimeZone: () => timeZone },
+    Utilities: {
+      formatDate,
+      sleep: (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms),
+      getUuid: () => crypto.randomUUID(),
+      computeDigest: (algorithm, text) => Array.from(crypto.createHash(algorithm).update(text, 'utf8').digest()),
+      DigestAlgorithm: { SHA_256: 'sha256' },
+      Charset: { UTF_8: 'UTF-8' },
+      // Text or the byte array of computeDigest
+      base64EncodeWebSafe: (data) => Buffer.from(data).toString('base64').replace(/\+/g, '-').replace(/\//g, '_')
+    },
+    PropertiesService: { getScriptProperties: () => propertyStore(properties) },
+    LockService: { getScriptLock: () => ({ tryLock: () => true, waitLock: () => {}, releaseLock: () => {} }) },
+    Logger: { log: (message) => { if (verbose) console.error(message); } }
+  });
+  vm.runInContext(fs.readFileSync(SCRIPT_FILE, 'utf8'), context, { filename: SCRIPT_FILE });
+  return context;
+}
+
+function propertyStore(properties) {
+  return {
+    getProperty: (key) => (key in properties ? properties[key] : null),
+    getProperties: () => ({ ...properties }),
+    setProperty: (key, value) => { properties[key] = String(value); },
+    setProperties: (values) => { Object.keys(values).forEach(key => { properties[key] = String(values[key]); }); },
+    deleteProperty: (key) => { delete properties[key]; }
+  };
+}
+
+// The Utilities.formatDate patterns the sync uses: yyyy MM dd HH mm ss Z and 'quoted' text
+function formatDate(date, timeZone, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offset = Math.round((wall - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  const pad = (n) => String(Math.floor(Math.abs(n))).padStart(2, '0');
+  const tokens = {
+    yyyy: parts.year, MM: parts.month, dd: parts.day, HH: parts.hour, mm: parts.minute, ss: parts.second,
+    Z: `${offset < 0 ? '-' : '+'}${pad(offset / 60)}${pad(offset % 60)}`
+  };
+  return pattern.replace(/'([^']*)'|yyyy|MM|dd|HH|mm|ss|Z/g, (token, quoted) =>
+    quoted !== undefined ? quoted : tokens[token]);
+}
+
+// The sync is synchronous and Node has no synchronous HTTP, so feeds are read from the files given with --feed
+function readFeed(feeds, url) {
+  const file = feeds[url];
+  if (!file) throw new Error(`no local file for this feed, download it and pass --feed "${url}=<file.ics>"`);
+  return fs.readFileSync(file, 'utf8');
+}
+
+// Task store over { lists: [{ id, title, tasks: [task] }] }. Tasks are kept in list order;
+// like Google Tasks, new ones go on top and `position` follows the order.
+function jsonTaskStore(data) {
+  const copy = (task) => JSON.parse(JSON.stringify(task));
+  const listOf = (taskListId) => {
+    const list = data.lists.find(l => l.id === taskListId);
+    if (!list) throw new Error(`Task list not found: ${taskListId}`);
+    list.tasks = list.tasks || [];
+    return list;
+  };
+  const taskOf = (taskListId, taskId) => {
+    const task = listOf(taskListId).tasks.find(t => t.id === taskId);
+    if (!task) throw new Error(`Not Found: task ${taskId}`);
+    return task;
+  };
+  const touch = (task) => {
+    task.updated = new Date().toISOString();
+    if (task.status === 'completed' && !task.completed) task.completed = task.updated;
+    if (task.status !== 'completed') delete task.completed;
+    return task;
+  };
+
+  const store = {
+    listTaskLists: () => data.lists.map(list => ({ id: list.id, title: list.title })),
+    listTasks: (taskListId, options) => listOf(taskListId).tasks
+      .map((task, i) => ({ ...copy(task), position: String(i).padStart(20, '0') }))
+      .filter(task => !options.updatedMin || task.updated >= options.updatedMin),
+    getTask: (taskListId, taskId) => copy(taskOf(taskListId, taskId)),
+    insertTask: (taskListId, task) => {
+      const created = touch({ ...copy(task), id: crypto.randomUUID() });
+      listOf(taskListId).tasks.unshift(created);
+      return copy(created);
+    },
+    insertTasks: (items) => items.map(item => {
+      try {
+        return { task: store.insertTask(item.taskListId, item.task) };
+      } catch (e) {
+        return { error: e.message };
+      }
+    }),
+    patchTask: (taskListId, taskId, fields) => {
+      const task = taskOf(taskListId, taskId);
+      Object.keys(fields).forEach(key => {
+        if (fields[key] === null) delete task[key];
+        else task[key] = fields[key];
+      });
+      return copy(touch(task));
+    },
+    removeTask: (taskListId, taskId) => {
+      const list = listOf(taskListId);
+      list.tasks.splice(list.tasks.indexOf(taskOf(taskListId, taskId)), 1);
+    },
+    // A task that is already gone counts as deleted
+    deleteTasks: (items) => items.map(item => {
+      try {
+        const list = listOf(item.taskListId);
+        const index = list.tasks.findIndex(t => t.id === item.taskId);
+        if (index !== -1) list.tasks.splice(index, 1);
+        return null;
+      } catch (e) {
+        return e.message;
+      }
+    }),
+    moveTask: (taskListId, taskId, previousId) => {
+      const list = listOf(taskListId);
+      const task = taskOf(taskListId, taskId);
+      list.tasks.splice(list.tasks.indexOf(task), 1);
+      list.tasks.splice(previousId ? list.tasks.indexOf(taskOf(taskListId, previousId)) + 1 : 0, 0, touch(task));
+    }
+  };
+  return store;
+}
+
+// A new task file gets an empty list for each profile's task list
+function defaultTaskLists(context, profileName) {
+  const titles = [...new Set(context.selectSyncProfiles(profileName).map(profile => profile.taskListName))];
+  return titles.map((title, i) => ({ id: `list${i + 1}`, title, tasks: [] }));
+}
+
+function writeReport(context, file, html) {
+  const colors = vm.runInContext('DIGEST_EMAIL_COLORS', context);
+  const variables = Object.keys(colors).map(name => `${name}: ${colors[name]};`).join(' ');
+  fs.writeFileSync(file, `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Calendar to Task Sync</title>
+    <style>
+      :root { ${variables} }
+      body {
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        max-width: 1100px;
+        margin: auto;
+        color: var(--text-primary);
+      }
+      ${context.getReportStyles()}
+    </style>
+  </head>
+  <body>
+    ${html}
+  </body>
+</html>
+`);
+}
+
+function readJson(file, fallback) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+function writeJson(file, value) {
+  fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { main, loadScript, jsonTaskStore, formatDate };
@@ -0,0 +1,51 @@
+// The JSON API only runs a sync for a POST request that carries the configured token
+const test = require('node:test');
+const assert = require('node:assert');
+const { jsonTaskStore } = require('../calendar_to_task_node');
+const { loadSync, icsFile } = require('./helpers');
+
+function apiContext(properties) {
+  const sync = loadSync({ INCREMENTAL_SYNC: 'false', ...properties });
+  sync.ContentService = {
+    MimeType: { JSON: 'application/json' },
+    createTextOutput: (text) => ({ text, setMimeType() { return this; } })
+  };
+  const tasks = { lists: [{ id: 'media', title: 'Media Backlog 🎞️', tasks: [] }] };
+  sync.useSyncAdapters({
+    calendar: sync.icsCalendarAdapter([{ name: 'Entertainment', text: icsFile('Entertainment', [
+      { uid: 'film@test', summary: 'Film', start: '20260905', COLOR: '7' }
+    ]) }]),
+    tasks: jsonTaskStore(tasks),
+    metadata: null
+  });
+  const post = (body) => JSON.parse(sync.doPost({ parameter: {}, postData: { contents: JSON.stringify(body) } }).text);
+  const get = (parameter) => JSON.parse(sync.doGet({ parameter }).text);
+  return { post, get, tasks };
+}
+
+const SYNC = { action: 'sync', startDate: '2026-09-01', endDate: '2026-09-30' };
+
+test('a GET request can\'t start a sync', () => {
+  const { get, tasks } = apiContext({ API_TOKEN: 'secret' });
+  const response = get({ ...SYNC, token: 'secret' });
+  assert.strictEqual(response.ok, false);
+  assert.match(response.error.message, /POST/);
+  assert.strictEqual(tasks.lists[0].tasks.length, 0);
+  assert.strictEqual(get({ ...SYNC, action: 'preview', token: 'secret' }).ok, true);
+});
+
+test('a sync needs a configured token', () => {
+  const { post, tasks } = apiContext({});
+  const response = post(SYNC);
+  assert.strictEqual(response.ok, false);
+  assert.match(response.error.message, /API_TOKEN/);
+  assert.strictEqual(tasks.lists[0].tasks.length, 0);
+});
+
+test('a POST with the token runs the sync', () => {
+  const { post, tasks } = apiContext({ API_TOKEN: 'secret' });
+  assert.strictEqual(post(SYNC).ok, false);
+  const response = post({ ...SYNC, token: 'secret' });
+  assert.strictEqual(response.ok, true, JSON.stringify(response.error));
+  assert.deepStrictEqual(tasks.lists[0].tasks.map(t => t.title), ['Film (09/05/2026)']);
+});
@@ -0,0 +1,43 @@
+// Linked tasks are only backfilled with what they're missing
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { writeFixtures, icsFile, runRunner, readJson } = require('./helpers');
+
+const PROFILE = {
+  name: 'Media', calendarName: 'Entertainment', taskListName: 'Media Backlog 🎞️',
+  unwatchedColorId: '7', defaultColorId: '11'
+};
+
+test('a rescheduled task keeps its due date and completed tasks aren\'t backfilled', () => {
+  const files = writeFixtures({
+    'calendar.ics': icsFile('Entertainment', [
+      { uid: 'film@test', summary: 'Film', start: '20260905', COLOR: '7' },
+      { uid: 'show@test', summary: 'Show', start: '20260906', COLOR: '7' }
+    ]),
+    'properties.json': { SYNC_PROFILES: JSON.stringify([PROFILE]) }
+  });
+  const tasksFile = `${files.dir}/tasks.json`;
+  const args = [
+    '--calendar', files['calendar.ics'], '--tasks', tasksFile, '--properties', files['properties.json'],
+    '--start', '2026-09-01', '--end', '2026-09-30'
+  ];
+  let run = runRunner(args);
+  assert.strictEqual(run.status, 0, run.stderr);
+
+  const data = readJson(tasksFile);
+  const film = data.lists[0].tasks.find(t => t.title.startsWith('Film'));
+  film.due = '2026-10-01T00:00:00.000Z';
+  // Completed, and from before tasks had a due date
+  const show = data.lists[0].tasks.find(t => t.title.startsWith('Show'));
+  show.status = 'completed';
+  delete show.due;
+  fs.writeFileSync(tasksFile, JSON.stringify(data));
+
+  run = runRunner(args);
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.match(run.stdout, /Updated: 0, Deleted: 1\b/);
+  assert.deepStrictEqual(readJson(tasksFile).lists[0].tasks.map(t => [t.title, t.due]), [
+    ['Film (09/05/2026)', '2026-10-01T00:00:00.000Z']
+  ]);
+});
@@ -0,0 +1,31 @@
+// Backlog ages count calendar days in the script time zone
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('../calendar_to_task_node');
+
+function atTime(timeZone, now) {
+  const context = loadScript({ timeZone, properties: {} });
+  const fixed = new Date(now).getTime();
+  context.Date = class extends Date {
+    constructor(...args) {
+      super(...(args.length > 0 ? args : [fixed]));
+    }
+
+    static now() {
+      return fixed;
+    }
+  };
+  return context;
+}
+
+test('an item due yesterday in the script time zone is a day old', () => {
+  // 9am on October 20th in Auckland
+  const auckland = atTime('Pacific/Auckland', '2026-10-19T20:00:00Z');
+  assert.strictEqual(auckland.backlogAge('2026-10-19'), '1 day');
+  assert.strictEqual(auckland.backlogAge('2026-10-20'), '0 days');
+
+  // 8pm on October 18th in Los Angeles
+  const losAngeles = atTime('America/Los_Angeles', '2026-10-19T03:00:00Z');
+  assert.strictEqual(losAngeles.backlogAge('2026-10-18'), '0 days');
+  assert.strictEqual(losAngeles.backlogAge('2026-09-18'), '30 days');
+});
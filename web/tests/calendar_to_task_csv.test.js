@@ -0,0 +1,28 @@
+// CSV exports quote every cell and keep spreadsheet apps from running cells as formulas
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSync } = require('./helpers');
+
+test('csvCell quotes cells and prefixes formula triggers', () => {
+  const { csvCell } = loadSync();
+  assert.strictEqual(csvCell('Plain "quoted" title'), '"Plain ""quoted"" title"');
+  assert.strictEqual(csvCell(42), '"42"');
+  ['=HYPERLINK("http://x")', '+1', '-1', '@SUM(A1)', '\tTabbed', '\rReturn'].forEach(text => {
+    assert.strictEqual(csvCell(text), `"'${text.replace(/"/g, '""')}"`);
+  });
+  assert.strictEqual(csvCell('Mid =formula'), '"Mid =formula"');
+});
+
+test('the backlog CSV uses the same cells', () => {
+  const { backlogCsv } = loadSync();
+  const csv = backlogCsv([{ profileName: '@Media', items: [
+    { title: '=cmd|\'/C calc\'!A0 (09/01/2026)', due: '', platform: '', icon: '' },
+    { title: 'Severance', due: '', platform: 'Apple TV+', icon: '🍎' }
+  ] }]);
+  assert.deepStrictEqual(csv.replace(/^\ufeff/, '').split('\r\n'), [
+    '"Title","Date","Platform","Age","Profile"',
+    '"\'=cmd|\'/C calc\'!A0","","","","\'@Media"',
+    '"Severance","","🍎 Apple TV+","","\'@Media"',
+    ''
+  ]);
+});
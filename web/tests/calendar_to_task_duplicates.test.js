@@ -0,0 +1,34 @@
+// The 'merge' duplicate policy merges tasks of the same event, never tasks typed in by hand
+const test = require('node:test');
+const assert = require('node:assert');
+const { writeFixtures, icsFile, runRunner, readJson } = require('./helpers');
+
+const PROFILE = {
+  name: 'Media', calendarName: 'Entertainment', taskListName: 'Media Backlog 🎞️',
+  unwatchedColorId: '7', defaultColorId: '11'
+};
+
+test('merge keeps hand-typed tasks with the same title', () => {
+  const files = writeFixtures({
+    'calendar.ics': icsFile('Entertainment', [
+      { uid: 'dune-1@test', summary: 'Dune', start: '20260901', COLOR: '7' },
+      { uid: 'dune-2@test', summary: 'Dune', start: '20260901', COLOR: '7' }
+    ]),
+    'tasks.json': { lists: [{ id: 'media', title: 'Media Backlog 🎞️', tasks: [
+      // Older, unlinked copies of the event's task
+      { id: 'dune-a', title: 'Dune (09/01/2026)', status: 'needsAction', notes: 'On: N/A' },
+      { id: 'dune-b', title: 'Dune (09/01/2026)', status: 'needsAction', notes: 'On: N/A' },
+      { id: 'note-a', title: 'Rewatch trilogy', status: 'needsAction', notes: 'Extended cuts' },
+      { id: 'note-b', title: 'Rewatch trilogy', status: 'needsAction', notes: 'Theatrical cuts' }
+    ] }] },
+    'properties.json': { SYNC_PROFILES: JSON.stringify([PROFILE]), DUPLICATE_POLICY: 'merge' }
+  });
+
+  const run = runRunner([
+    '--calendar', files['calendar.ics'], '--tasks', files['tasks.json'], '--properties', files['properties.json'],
+    '--start', '2026-08-01', '--end', '2026-10-18'
+  ]);
+  assert.strictEqual(run.status, 0, run.stderr);
+  const tasks = readJson(files['tasks.json']).lists[0].tasks;
+  assert.deepStrictEqual(tasks.map(t => t.id).sort(), ['dune-a', 'note-a', 'note-b']);
+});
@@ -0,0 +1,57 @@
+// Feed profiles: the filters pick the unwatched entries, and each occurrence of a series is watched on its own
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { loadSync, writeFixtures, icsFile, runRunner, readJson } = require('./helpers');
+
+const FEED_URL = 'https://example.com/tv-guide.ics';
+const PROFILE = {
+  name: 'TV Guide', taskListName: 'TV Backlog', unwatchedColorId: '7', defaultColorId: '11', feedUrl: FEED_URL,
+  feedFilters: { title: ['The Bear', 'Slow Horses'], category: ['drama'], location: ['fx'] }
+};
+
+test('feed filters and recurring feed entries', () => {
+  const files = writeFixtures({
+    'guide.ics': icsFile('TV Guide', [
+      { uid: 'bear@test', summary: 'The Bear', start: '20260901', RRULE: 'FREQ=WEEKLY;COUNT=3',
+        CATEGORIES: 'Drama', LOCATION: 'FX' },
+      // Title matches, category doesn't
+      { uid: 'extras@test', summary: 'The Bear: Behind the Scenes', start: '20260902', CATEGORIES: 'Documentary',
+        LOCATION: 'FX' },
+      // Location doesn't match
+      { uid: 'horses@test', summary: 'Slow Horses', start: '20260903', CATEGORIES: 'Drama,Thriller',
+        LOCATION: 'Apple TV+' },
+      // Title doesn't match
+      { uid: 'kitchen@test', summary: 'Kitchen Nightmares', start: '20260904', CATEGORIES: 'Drama', LOCATION: 'FX' }
+    ]),
+    'properties.json': { SYNC_PROFILES: JSON.stringify([PROFILE]) }
+  });
+  const tasksFile = `${files.dir}/tasks.json`;
+  const args = [
+    '--feed', `${FEED_URL}=${files['guide.ics']}`, '--tasks', tasksFile, '--properties', files['properties.json'],
+    '--start', '2026-09-01', '--end', '2026-10-18'
+  ];
+  const titles = () => readJson(tasksFile).lists[0].tasks.map(t => t.title).sort();
+
+  let run = runRunner(args);
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.deepStrictEqual(titles(), ['The Bear (09/01/2026)', 'The Bear (09/08/2026)', 'The Bear (09/15/2026)']);
+
+  // Completing one occurrence's task marks only that occurrence watched
+  const data = readJson(tasksFile);
+  data.lists[0].tasks.find(t => t.title === 'The Bear (09/08/2026)').status = 'completed';
+  fs.writeFileSync(tasksFile, JSON.stringify(data));
+  run = runRunner(args);
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.deepStrictEqual(titles(), ['The Bear (09/01/2026)', 'The Bear (09/15/2026)']);
+
+  const context = loadSync(readJson(files['properties.json']));
+  const watched = context.loadJsonProperty(`FEED_WATCHED_${context.profileSectionId(PROFILE.name)}`);
+  assert.deepStrictEqual(Array.from(watched), ['bear@test#2026-09-08T00:00:00.000Z']);
+
+  // The watched occurrence doesn't come back
+  run = runRunner(args);
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.match(run.stdout, /Created: 0\b/);
+  assert.deepStrictEqual(titles(), ['The Bear (09/01/2026)', 'The Bear (09/15/2026)']);
+});
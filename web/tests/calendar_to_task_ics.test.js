@@ -0,0 +1,116 @@
+// Recurring ICS events are synced one occurrence at a time
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { loadSync, writeFixtures, icsFile, runRunner, readJson } = require('./helpers');
+
+const PROFILE = {
+  name: 'Media', calendarName: 'Entertainment', taskListName: 'Media Backlog 🎞️',
+  unwatchedColorId: '7', defaultColorId: '11'
+};
+
+function occurrenceColors(context, file, start, end) {
+  const calendar = context.icsCalendar('', fs.readFileSync(file, 'utf8'));
+  return Array.from(calendar.getEvents(new Date(start), new Date(end)),
+    ev => [ev.getTitle(), ev.getStartTime().toISOString().slice(0, 10), ev.getColor()]);
+}
+
+test('each occurrence of a series gets its own task and color', () => {
+  const files = writeFixtures({
+    'calendar.ics': icsFile('Entertainment', [
+      { uid: 'weekly@test', summary: 'Weekly Show', start: '20260907', RRULE: 'FREQ=WEEKLY;COUNT=4',
+        'EXDATE;VALUE=DATE': '20260914', COLOR: '7' },
+      { uid: 'solo@test', summary: 'Solo Film', start: '20260910', COLOR: 'Tomato' }
+    ]),
+    'properties.json': { SYNC_PROFILES: JSON.stringify([PROFILE]) }
+  });
+  const tasksFile = `${files.dir}/tasks.json`;
+  const args = [
+    '--calendar', files['calendar.ics'], '--tasks', tasksFile, '--properties', files['properties.json'],
+    '--start', '2026-09-01', '--end', '2026-10-18'
+  ];
+
+  let run = runRunner(args);
+  assert.strictEqual(run.status, 0, run.stderr);
+  const data = readJson(tasksFile);
+  assert.deepStrictEqual(data.lists[0].tasks.map(t => t.title).sort(), [
+    'Weekly Show (09/07/2026)', 'Weekly Show (09/21/2026)', 'Weekly Show (09/28/2026)'
+  ]);
+
+  // Watching one occurrence resets only its color
+  data.lists[0].tasks.find(t => t.title === 'Weekly Show (09/21/2026)').status = 'completed';
+  fs.writeFileSync(tasksFile, JSON.stringify(data));
+  run = runRunner(args);
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.match(run.stdout, /Reset: 1\b/);
+  assert.deepStrictEqual(occurrenceColors(loadSync(), files['calendar.ics'], '2026-09-01', '2026-10-18'), [
+    ['Weekly Show', '2026-09-07', '7'],
+    ['Solo Film', '2026-09-10', '11'],
+    ['Weekly Show', '2026-09-21', '11'],
+    ['Weekly Show', '2026-09-28', '7']
+  ]);
+  assert.deepStrictEqual(readJson(tasksFile).lists[0].tasks.map(t => t.title).sort(), [
+    'Weekly Show (09/07/2026)', 'Weekly Show (09/28/2026)'
+  ]);
+});
+
+test('rules expand in the time zone of DTSTART and overrides replace their occurrence', () => {
+  const context = loadSync();
+  const calendar = context.icsCalendar('Shows', [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:late@test',
+    'DTSTART;TZID=America/New_York:20261027T200000',
+    'DURATION:PT1H',
+    'SUMMARY:Late Show',
+    'RRULE:FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20261110T000000Z',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:late@test',
+    'RECURRENCE-ID;TZID=America/New_York:20261029T200000',
+    'DTSTART;TZID=America/New_York:20261030T210000',
+    'DURATION:PT1H',
+    'SUMMARY:Late Show (moved)',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:monthly@test',
+    'DTSTART;VALUE=DATE:20260131',
+    'SUMMARY:Month End',
+    'RRULE:FREQ=MONTHLY;INTERVAL=1',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n'));
+
+  const events = calendar.getEvents(new Date('2026-01-01T00:00:00Z'), new Date('2026-12-01T00:00:00Z'));
+  assert.deepStrictEqual(Array.from(events, ev => [ev.getTitle(), ev.getStartTime().toISOString()]), [
+    ['Month End', '2026-01-31T00:00:00.000Z'],
+    ['Month End', '2026-03-31T00:00:00.000Z'],
+    ['Month End', '2026-05-31T00:00:00.000Z'],
+    ['Month End', '2026-07-31T00:00:00.000Z'],
+    ['Month End', '2026-08-31T00:00:00.000Z'],
+    // 8pm in New York on both sides of the end of DST; the Thursday one was moved to Friday 9pm
+    ['Late Show', '2026-10-28T00:00:00.000Z'],
+    ['Month End', '2026-10-31T00:00:00.000Z'],
+    ['Late Show (moved)', '2026-10-31T01:00:00.000Z'],
+    ['Late Show', '2026-11-04T01:00:00.000Z'],
+    ['Late Show', '2026-11-06T01:00:00.000Z']
+  ]);
+  assert.ok(events.every(ev => ev.isRecurringEvent()));
+});
+
+test('a rule that can\'t be expanded fails the run instead of syncing one event', () => {
+  const files = writeFixtures({
+    'calendar.ics': icsFile('Entertainment', [
+      { uid: 'odd@test', summary: 'Odd Show', start: '20260907', RRULE: 'FREQ=MONTHLY;BYDAY=1MO', COLOR: '7' }
+    ]),
+    'properties.json': { SYNC_PROFILES: JSON.stringify([PROFILE]) }
+  });
+
+  const run = runRunner([
+    '--calendar', files['calendar.ics'], '--tasks', `${files.dir}/tasks.json`, '--properties', files['properties.json'],
+    '--start', '2026-09-01', '--end', '2026-10-18'
+  ]);
+  assert.notStrictEqual(run.status, 0);
+  assert.match(run.stderr, /Odd Show.*RRULE.*FREQ=MONTHLY;BYDAY=1MO/);
+  assert.ok(!fs.existsSync(`${files.dir}/tasks.json`));
+});
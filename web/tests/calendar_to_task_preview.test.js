@@ -0,0 +1,92 @@
+// The web app's preview must not change anything, and applying it must only run the plan the server built
+const test = require('node:test');
+const assert = require('node:assert');
+const { jsonTaskStore } = require('../calendar_to_task_node');
+const { loadSync } = require('./helpers');
+
+function setup() {
+  const properties = { INCREMENTAL_SYNC: 'false' };
+  const sync = loadSync(properties);
+  const calendar = sync.icsCalendarAdapter([{
+    name: 'Entertainment',
+    text: [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT', 'UID:new@test', 'DTSTART;VALUE=DATE:20260905', 'SUMMARY:New Show', 'COLOR:7', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:seen@test', 'DTSTART;VALUE=DATE:20260906', 'SUMMARY:Seen Show', 'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n')
+  }]);
+  const tasks = { lists: [{ id: 'media', title: 'Media Backlog 🎞️', tasks: [
+    { id: 'seen', title: 'Seen Show (09/06/2026)', status: 'needsAction',
+      notes: 'On: N/A\n\n── sync ──\neventId: seen@test\neventKey: Seen Show (09/06/2026)' }
+  ] }] };
+  sync.useSyncAdapters({ calendar, tasks: jsonTaskStore(tasks), metadata: null });
+  return { sync, properties, tasks, calendar };
+}
+
+test('previewSync returns a fingerprint instead of the plans and writes nothing', () => {
+  const { sync, properties, tasks } = setup();
+  const before = JSON.stringify({ properties, tasks });
+  const preview = sync.previewSync('2026-09-01', '2026-09-30', '', null);
+  assert.strictEqual(preview.plans, undefined);
+  assert.match(preview.previewId, /^[\w-]+=*$/);
+  assert.strictEqual(JSON.stringify({ properties, tasks }), before);
+});
+
+test('applyPreview applies the plan when it still matches the preview', () => {
+  const { sync, tasks } = setup();
+  const { previewId } = sync.previewSync('2026-09-01', '2026-09-30', '', null);
+  const report = sync.applyPreview('2026-09-01', '2026-09-30', '', null, previewId);
+  assert.ok(!report.changed && !report.busy);
+  assert.deepStrictEqual(tasks.lists[0].tasks.map(t => t.title), ['New Show (09/05/2026)']);
+});
+
+test('applyPreview applies nothing for an unknown preview id', () => {
+  const { sync, tasks } = setup();
+  const before = JSON.stringify(tasks);
+  const report = sync.applyPreview('2026-09-01', '2026-09-30', '', null, 'forged');
+  assert.strictEqual(report.changed, true);
+  assert.ok(report.previewId);
+  assert.strictEqual(JSON.stringify(tasks), before);
+});
+
+test('applyPreview returns a new preview when tasks changed after the preview', () => {
+  const { sync, tasks } = setup();
+  const { previewId } = sync.previewSync('2026-09-01', '2026-09-30', '', null);
+  tasks.lists[0].tasks[0].notes += '\nsnoozedUntil: 2026-10-01';
+  const report = sync.applyPreview('2026-09-01', '2026-09-30', '', null, previewId);
+  assert.strictEqual(report.changed, true);
+  assert.notStrictEqual(report.previewId, previewId);
+  assert.strictEqual(tasks.lists[0].tasks.length, 1);
+
+  sync.applyPreview('2026-09-01', '2026-09-30', '', null, report.previewId);
+  assert.deepStrictEqual(tasks.lists[0].tasks.map(t => t.title), ['New Show (09/05/2026)']);
+});
+
+test('previewing a feed profile keeps watched entries that left the feed until a sync is applied', () => {
+  const profile = {
+    name: 'TV Guide', taskListName: 'Media Backlog 🎞️', unwatchedColorId: '7', defaultColorId: '11',
+    feedUrl: 'https://example.com/tv.ics', feedFilters: { title: [], category: [], location: [] }
+  };
+  const properties = { INCREMENTAL_SYNC: 'false', SYNC_PROFILES: JSON.stringify([profile]) };
+  const sync = loadSync(properties);
+  const watchedKey = `FEED_WATCHED_${sync.profileSectionId(profile.name)}`;
+  sync.saveJsonProperty(watchedKey, ['gone@test', 'aired@test']);
+  const feed = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT', 'UID:aired@test', 'DTSTART;VALUE=DATE:20260905', 'SUMMARY:Aired Show', 'END:VEVENT',
+    'BEGIN:VEVENT', 'UID:new@test', 'DTSTART;VALUE=DATE:20260906', 'SUMMARY:New Show', 'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+  const tasks = { lists: [{ id: 'media', title: 'Media Backlog 🎞️', tasks: [] }] };
+  sync.useSyncAdapters({ tasks: jsonTaskStore(tasks), fetchFeed: () => feed, metadata: null });
+
+  const before = JSON.stringify({ properties, tasks });
+  const { previewId } = sync.previewSync('2026-09-01', '2026-09-30', '', null);
+  sync.getBacklogView('');
+  assert.strictEqual(JSON.stringify({ properties, tasks }), before);
+
+  sync.applyPreview('2026-09-01', '2026-09-30', '', null, previewId);
+  assert.deepStrictEqual(tasks.lists[0].tasks.map(t => t.title), ['New Show (09/06/2026)']);
+  assert.deepStrictEqual(Array.from(sync.loadJsonProperty(watchedKey)), ['aired@test']);
+});
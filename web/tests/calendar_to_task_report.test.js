@@ -0,0 +1,77 @@
+// Calendar and task text is rendered into the web app and the digest email; none of it may become markup
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSync } = require('./helpers');
+
+const HOSTILE = '<img src=x onerror=alert(1)>';
+const QUOTES = `"'&`;
+const ESCAPED = '&lt;img src=x onerror=alert(1)&gt;';
+const ESCAPED_QUOTES = '&quot;&#39;&amp;';
+
+function assertEscaped(html) {
+  assert.ok(!html.includes('<img'), 'raw <img> tag in the output');
+  assert.ok(!html.includes(QUOTES), 'raw quotes in the output');
+  assert.ok(html.includes(ESCAPED), 'escaped tag missing');
+  assert.ok(html.includes(ESCAPED_QUOTES), 'escaped quotes missing');
+}
+
+test('escapeHtml escapes tags, quotes and ampersands', () => {
+  const sync = loadSync();
+  assert.strictEqual(sync.escapeHtml(HOSTILE + QUOTES), ESCAPED + ESCAPED_QUOTES);
+  assert.strictEqual(sync.escapeHtml(null), '');
+});
+
+test('generateHtmlReport escapes every cell, the profile name and the summary', () => {
+  const sync = loadSync();
+  const text = `${HOSTILE} ${QUOTES}`;
+  const html = sync.generateHtmlReport(
+    `Created: 1 ${text}`,
+    [{ event: text, status: text, details: text }],
+    [{ task: text, taskStatus: text, event: text, eventStatus: text }],
+    new Date(2026, 0, 1),
+    new Date(2026, 0, 31),
+    text,
+    [{ item: text, kind: text, count: text, resolution: text }],
+    [{ item: text, action: text, error: text }],
+    [{ item: text, action: text, message: text }]
+  );
+  assertEscaped(html);
+  const summary = html.match(/<div class="summary">[\s\S]*?<\/div>/)[0];
+  assertEscaped(summary);
+});
+
+test('generatePhaseHeader escapes the title and the count', () => {
+  const sync = loadSync();
+  assertEscaped(sync.generatePhaseHeader('phase1', `${HOSTILE} ${QUOTES}`, `${HOSTILE} ${QUOTES}`));
+});
+
+test('generateProfileError escapes the profile name and the message', () => {
+  const sync = loadSync();
+  const text = `${HOSTILE} ${QUOTES}`;
+  assertEscaped(sync.generateProfileError(text, { code: 'CALENDAR_NOT_FOUND', message: text }));
+  assertEscaped(sync.generateProfileError(text, text));
+});
+
+test('a sync of hostile titles, locations and notes renders them escaped', () => {
+  const sync = loadSync();
+  const text = `${HOSTILE} ${QUOTES}`;
+  const calendar = sync.icsCalendarAdapter([{
+    name: 'Entertainment',
+    text: [
+      'BEGIN:VCALENDAR', 'BEGIN:VEVENT', 'UID:hostile@test', 'DTSTART;VALUE=DATE:20260105',
+      `SUMMARY:${sync.escapeIcsText(text)}`, `LOCATION:${sync.escapeIcsText(text)}`,
+      `DESCRIPTION:${sync.escapeIcsText(text)}`, 'COLOR:7', 'END:VEVENT', 'END:VCALENDAR'
+    ].join('\r\n')
+  }]);
+  const tasks = { lists: [{ id: 'media', title: 'Media Backlog 🎞️', tasks: [
+    { id: 'typed', title: text, notes: text, status: 'needsAction' }
+  ] }] };
+  const { jsonTaskStore } = require('../calendar_to_task_node');
+  sync.useSyncAdapters({ calendar, tasks: jsonTaskStore(tasks) });
+
+  const { results } = sync.runSync('2026-01-01', '2026-01-31', sync.getSyncProfiles(), undefined, 'node');
+  assert.strictEqual(results[0].counts.created, 1);
+  const html = sync.renderSyncResults(results);
+  assertEscaped(html);
+  assert.ok(html.includes(`${ESCAPED} ${ESCAPED_QUOTES} (01/05/2026)`));
+});
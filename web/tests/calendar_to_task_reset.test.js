@@ -0,0 +1,53 @@
+// A completed task is only deleted once its event's color was reset
+const test = require('node:test');
+const assert = require('node:assert');
+const { jsonTaskStore } = require('../calendar_to_task_node');
+const { loadSync, icsFile } = require('./helpers');
+
+const PROFILE = {
+  name: 'Media', calendarName: 'Entertainment', taskListName: 'Media Backlog 🎞️',
+  unwatchedColorId: '7', defaultColorId: '11'
+};
+
+test('a failed color reset keeps the task for the retry', () => {
+  const sync = loadSync({ SYNC_PROFILES: JSON.stringify([PROFILE]) });
+  const ics = sync.icsCalendarAdapter([{ name: 'Entertainment', text: icsFile('Entertainment', [
+    { uid: 'film@test', summary: 'Film', start: '20260905', COLOR: '7' }
+  ]) }]);
+  const calendar = ics.getCalendarByName('Entertainment');
+  let failReset = true;
+  const withFailingReset = (ev) => ({
+    ...ev,
+    setColor: (colorId) => {
+      if (failReset) throw new Error('Forbidden: calendar is read-only');
+      ev.setColor(colorId);
+    }
+  });
+  sync.useSyncAdapters({
+    calendar: {
+      ...ics,
+      getCalendarByName: () => ({
+        ...calendar,
+        getEvents: (start, end, options) => calendar.getEvents(start, end, options).map(withFailingReset),
+        getEventById: (id) => withFailingReset(calendar.getEventById(id))
+      })
+    },
+    tasks: jsonTaskStore({ lists: [{ id: 'media', title: 'Media Backlog 🎞️', tasks: [] }] }),
+    metadata: null
+  });
+  const tasks = () => sync.taskStore().listTasks('media', {});
+
+  sync.runSync('2026-09-01', '2026-09-30', sync.getSyncProfiles(), undefined, 'node');
+  const [task] = tasks();
+  sync.taskStore().patchTask('media', task.id, { status: 'completed' });
+
+  const { results } = sync.runSync('2026-09-01', '2026-09-30', sync.getSyncProfiles(), undefined, 'node');
+  assert.deepStrictEqual(Array.from(results[0].failures, failure => failure.action), ['🔁 Reset color']);
+  assert.deepStrictEqual(Array.from(tasks(), t => [t.id, t.status]), [[task.id, 'completed']]);
+  assert.strictEqual(calendar.getEventById('film@test').getColor(), '7');
+
+  failReset = false;
+  sync.retryFailedItems();
+  assert.strictEqual(calendar.getEventById('film@test').getColor(), '11');
+  assert.strictEqual(tasks().length, 0);
+});
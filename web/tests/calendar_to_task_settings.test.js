@@ -0,0 +1,97 @@
+// The settings page saves profiles and platform rules together, or neither
+const test = require('node:test');
+const assert = require('node:assert');
+const { jsonTaskStore } = require('../calendar_to_task_node');
+const { loadSync } = require('./helpers');
+
+const GENERAL = { historyLimit: 20, incrementalSync: false, taskOrder: 'none', duplicatePolicy: 'separate' };
+const RULES = [{ name: 'Netflix', icon: '🍿', match: 'substring', pattern: 'netflix', taskListName: '' }];
+const PROFILE = {
+  name: 'Media', calendarName: 'Entertainment', taskListName: 'Media Backlog 🎞️',
+  unwatchedColorId: '7', defaultColorId: '11'
+};
+
+function settingsContext(properties) {
+  const context = loadSync(properties);
+  context.useSyncAdapters({
+    calendar: context.icsCalendarAdapter([{ name: 'Entertainment', text: '' }]),
+    tasks: jsonTaskStore({ lists: [{ id: 'media', title: 'Media Backlog 🎞️', tasks: [] }] })
+  });
+  return context;
+}
+
+test('an invalid profile leaves the platform rules unsaved', () => {
+  const properties = {};
+  const context = settingsContext(properties);
+
+  assert.throws(
+    () => context.saveSettings([{ ...PROFILE, defaultColorId: '7' }], GENERAL, RULES),
+    /same color for unwatched and default/
+  );
+  assert.deepStrictEqual(properties, {});
+
+  context.saveSettings([PROFILE], GENERAL, RULES);
+  assert.strictEqual(JSON.parse(properties.PLATFORM_RULES)[0].name, 'Netflix');
+  assert.strictEqual(JSON.parse(properties.SYNC_PROFILES)[0].name, 'Media');
+});
+
+test('an invalid platform rule leaves the profiles unsaved', () => {
+  const properties = {};
+  const context = settingsContext(properties);
+
+  assert.throws(
+    () => context.saveSettings([PROFILE], GENERAL, [{ ...RULES[0], match: 'regex', pattern: '(' }]),
+    /invalid regex/
+  );
+  assert.deepStrictEqual(properties, {});
+});
+
+test('incremental sync needs the Calendar advanced service', () => {
+  const properties = { INCREMENTAL_SYNC: 'true' };
+  const google = loadSync(properties);
+  assert.strictEqual(google.isIncrementalSyncEnabled(), false);
+  google.Calendar = { Events: { list: () => ({ items: [], nextSyncToken: 'token' }) } };
+  assert.strictEqual(google.isIncrementalSyncEnabled(), true);
+
+  const context = settingsContext({});
+  assert.throws(
+    () => context.saveSettings([PROFILE], { ...GENERAL, incrementalSync: true }, RULES),
+    /Calendar advanced service/
+  );
+});
+
+test('slow or oversized platform patterns are all reported and nothing is saved', () => {
+  const properties = {};
+  const context = settingsContext(properties);
+  const rules = [
+    { ...RULES[0], name: 'Nested', match: 'regex', pattern: '(a+)+$' },
+    { ...RULES[0], name: 'Choices', match: 'regex', pattern: '(hbo|max)*x' },
+    { ...RULES[0], name: 'Long', pattern: 'n'.repeat(201) },
+    { ...RULES[0], name: 'Fine', match: 'regex', pattern: '\\b(hbo|max)\\b[+*]' }
+  ];
+
+  assert.throws(
+    () => context.saveSettings([PROFILE], GENERAL, rules),
+    err => /"Nested": the regex repeats/.test(err.message) && /"Choices": the regex repeats/.test(err.message) &&
+      /"Long": the pattern is longer than 200/.test(err.message) && !/"Fine"/.test(err.message)
+  );
+  assert.deepStrictEqual(properties, {});
+});
+
+test('regex rules are compiled once per run and stored bad rules are skipped', () => {
+  const context = loadSync({
+    PLATFORM_RULES: JSON.stringify([
+      { name: 'Nested', icon: '🐢', match: 'regex', pattern: '(a+)+$', taskListName: '' },
+      { name: 'Max', icon: '🟣', match: 'regex', pattern: '\\b(hbo|max)\\b', taskListName: '' }
+    ])
+  });
+  let compiled = 0;
+  context.RegExp = new Proxy(RegExp, {
+    construct: (target, args) => { compiled++; return new target(...args); }
+  });
+
+  assert.strictEqual(context.matchPlatformRule('aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!'), null);
+  assert.strictEqual(context.matchPlatformRule('HBO Max').name, 'Max');
+  assert.strictEqual(context.matchPlatformRule('max').name, 'Max');
+  assert.strictEqual(compiled, 1);
+});
@@ -0,0 +1,74 @@
+// Two-way sync creates events only for tasks typed in by hand
+const test = require('node:test');
+const assert = require('node:assert');
+const { jsonTaskStore } = require('../calendar_to_task_node');
+const { loadSync, writeFixtures, icsFile, runRunner, icsSummaries, readJson } = require('./helpers');
+
+const PROFILE = {
+  name: 'Media', calendarName: 'Entertainment', taskListName: 'Media Backlog 🎞️',
+  unwatchedColorId: '7', defaultColorId: '11', twoWaySync: true
+};
+
+test('tasks of events outside the range or deleted events get no new event', () => {
+  const files = writeFixtures({
+    'calendar.ics': icsFile('Entertainment', [
+      { uid: 'old@test', summary: 'Old Movie', start: '20260105', COLOR: '7' }
+    ]),
+    'tasks.json': { lists: [{ id: 'media', title: 'Media Backlog 🎞️', tasks: [
+      // From before event links were stored: matched by title, its event is outside the range
+      { id: 'legacy', title: 'Old Movie (01/05/2026)', status: 'needsAction', due: '2026-01-05T00:00:00.000Z',
+        updated: '2026-03-10T08:00:00.000Z', notes: 'On: N/A' },
+      // Linked to an event that was deleted from the calendar
+      { id: 'linked', title: 'Gone Show (09/02/2026)', status: 'needsAction', due: '2026-09-02T00:00:00.000Z',
+        notes: 'On: N/A\n\n── sync ──\neventId: gone@test\neventKey: Gone Show (09/02/2026)' },
+      { id: 'typed', title: 'Typed Film', status: 'needsAction', due: '2026-09-10T00:00:00.000Z', notes: 'On: Netflix' }
+    ] }] },
+    'properties.json': { SYNC_PROFILES: JSON.stringify([PROFILE]) }
+  });
+
+  const run = runRunner([
+    '--calendar', files['calendar.ics'], '--tasks', files['tasks.json'], '--properties', files['properties.json'],
+    '--start', '2026-08-01', '--end', '2026-10-18'
+  ]);
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.match(run.stdout, /Events created: 1\b/);
+  assert.deepStrictEqual(icsSummaries(files['calendar.ics']).sort(), ['Old Movie', 'Typed Film']);
+
+  const tasks = readJson(files['tasks.json']).lists[0].tasks;
+  assert.deepStrictEqual(tasks.map(t => [t.id, t.status]), [
+    ['legacy', 'needsAction'], ['linked', 'needsAction'], ['typed', 'needsAction']
+  ]);
+  assert.match(tasks.find(t => t.id === 'typed').notes, /eventId: /);
+  assert.doesNotMatch(tasks.find(t => t.id === 'legacy').notes, /eventId: /);
+});
+
+test('retrying a failed link reuses the event that was already created', () => {
+  const sync = loadSync({ SYNC_PROFILES: JSON.stringify([PROFILE]) });
+  const calendar = sync.icsCalendarAdapter([{ name: 'Entertainment', text: icsFile('Entertainment', []) }]);
+  const tasks = { lists: [{ id: 'media', title: 'Media Backlog 🎞️', tasks: [
+    { id: 'typed', title: 'Typed Film', status: 'needsAction', due: '2026-09-10T00:00:00.000Z', notes: 'On: Netflix' }
+  ] }] };
+  const store = jsonTaskStore(tasks);
+  let failPatch = true;
+  sync.useSyncAdapters({
+    calendar,
+    tasks: {
+      ...store,
+      patchTask: (listId, taskId, fields) => {
+        if (failPatch) throw new Error('Service unavailable: patch');
+        return store.patchTask(listId, taskId, fields);
+      }
+    },
+    metadata: null
+  });
+
+  const { results } = sync.runSync('2026-08-01', '2026-10-18', sync.getSyncProfiles(), undefined, 'node');
+  assert.strictEqual(results[0].failures.length, 1);
+  const events = () => calendar.getCalendarByName('Entertainment').getAllEvents();
+  assert.strictEqual(events().length, 1);
+
+  failPatch = false;
+  sync.retryFailedItems();
+  assert.strictEqual(events().length, 1);
+  assert.match(tasks.lists[0].tasks[0].notes, new RegExp(`eventId: ${events()[0].getId()}`));
+});
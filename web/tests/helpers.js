@@ -0,0 +1,58 @@
+// Shared setup for the calendar_to_task tests: the script loaded the way the Node runner loads it
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadScript } = require('../calendar_to_task_node');
+
+const RUNNER = path.join(__dirname, '..', 'calendar_to_task_node.js');
+
+function loadSync(properties = {}) {
+  return loadScript({ timeZone: 'UTC', properties });
+}
+
+// Fixture directories, removed when the test file's process exits
+const fixtureDirs = [];
+process.on('exit', () => fixtureDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// Fresh directory with the given files ({ name: text or JSON value }); returns the path of each
+function writeFixtures(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-to-task-'));
+  fixtureDirs.push(dir);
+  const paths = { dir };
+  Object.keys(files).forEach(name => {
+    paths[name] = path.join(dir, name);
+    const value = files[name];
+    fs.writeFileSync(paths[name], typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+  });
+  return paths;
+}
+
+// iCalendar text from { uid, summary, start ('yyyyMMdd' or 'yyyyMMddTHHmmssZ'), ...extra properties }
+function icsFile(name, events) {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `X-WR-CALNAME:${name}`];
+  events.forEach(({ uid, summary, start, ...extra }) => {
+    const date = start.length === 8 ? `DTSTART;VALUE=DATE:${start}` : `DTSTART:${start}`;
+    lines.push('BEGIN:VEVENT', `UID:${uid}`, date, `SUMMARY:${summary}`);
+    Object.keys(extra).forEach(key => lines.push(`${key.replace(/_/g, '-')}:${extra[key]}`));
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Runs calendar_to_task_node.js; returns { status, stdout, stderr }
+function runRunner(args) {
+  return spawnSync(process.execPath, [RUNNER, '--time-zone', 'UTC', ...args], { encoding: 'utf8', timeout: 60000 });
+}
+
+// SUMMARY of every VEVENT in an ICS file, in file order
+function icsSummaries(file) {
+  return (fs.readFileSync(file, 'utf8').match(/^SUMMARY:.*$/gm) || []).map(line => line.slice('SUMMARY:'.length));
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = { RUNNER, loadSync, writeFixtures, icsFile, runRunner, icsSummaries, readJson };